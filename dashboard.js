@@ -0,0 +1,356 @@
+// dashboard.js
+// แดชบอร์ดหัวหน้างาน: สถานะการลงเวลาของทีมรายวัน และรายละเอียดการลงเวลาของพนักงานแต่ละคน
+
+/******** CONFIG (แก้ให้ตรงระบบคุณ) ********/
+const DASHBOARD_CONFIG = {
+  // Apps Script Web App URL (ต้องตรงกับ APP_CONFIG.apiUrl ใน main.js)
+  apiUrl: 'https://script.google.com/macros/s/AKfycbxCy7ExGaKLpPShFB_BcuZqqpbO0rpuUcAjKnHu0-LsFG-lahdtCmziKTmQMvf0TEN1Cg/exec',
+  // role ที่เข้าหน้านี้ได้ (มาจาก employee.Role ที่ action:'login' ตอบกลับ) backend ต้องตรวจสิทธิ์ซ้ำทุกครั้ง
+  allowedRoles: ['supervisor', 'admin'],
+  // สำหรับนักพัฒนาเท่านั้น: ใช้ backend จำลอง (MockBackend) แทน Apps Script และเปิดได้โดยไม่ต้องล็อกอิน
+  // (สร้าง session หัวหน้างานจำลอง) ห้ามเปิดบนเครื่องที่ใช้งานจริง
+  mockDevMode: false
+};
+
+const LEAVE_TYPES = ['sick', 'personal', 'annual'];
+
+// ป้ายสถานะ/ประเภทจาก i18n.js ถ้าไม่มีใน catalog แสดงค่าดิบ
+function label(prefix, value) {
+  const key = `${prefix}.${value}`;
+  const text = t(key);
+  return text === key ? value : text;
+}
+
+// toDateKey และ escapeHtml ต้องตรงกับใน main.js (หน้านี้ไม่ได้โหลด main.js)
+// วันที่ตามเวลาท้องถิ่นในรูปแบบ YYYY-MM-DD
+function toDateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// session ที่ login.html เก็บไว้ หรือ null ถ้ายังไม่ได้เข้าสู่ระบบหรือหมดอายุ
+function currentSession() {
+  const employeeId = localStorage.getItem('employeeId');
+  const lineUserId = localStorage.getItem('userId');
+  const expiresAt = localStorage.getItem('sessionExpiresAt');
+  if (!employeeId || !lineUserId || (expiresAt && new Date(expiresAt) <= new Date())) return null;
+  return {
+    employeeId,
+    lineUserId,
+    name: localStorage.getItem('name') || employeeId,
+    role: localStorage.getItem('role') || 'employee'
+  };
+}
+
+// เรียก Apps Script backend ทุก action ส่ง supervisorId + lineUserId ให้ backend ตรวจสิทธิ์
+class DashboardApi {
+  constructor(session) {
+    this.session = session;
+  }
+
+  async call(action, payload) {
+    const res = await fetch(DASHBOARD_CONFIG.apiUrl, {
+      method: 'POST',
+      headers: {'Content-Type': 'text/plain;charset=utf-8'}, // เลี่ยง preflight เหมือน login.html
+      body: JSON.stringify({action, supervisorId: this.session.employeeId, lineUserId: this.session.lineUserId, ...payload})
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || `${action} failed`);
+    return json;
+  }
+
+  // [{employeeId, name, department, status, checkIn, checkOut, lateMinutes, leaveType}]
+  async teamAttendance(date) {
+    return (await this.call('team_attendance', {date})).employees;
+  }
+
+  // [{type, timestamp, location, geofence, detectionMethod, simulation, faceMatch, liveness, photoUrl}]
+  async employeePunches(employeeId, date) {
+    return (await this.call('employee_punches', {employeeId, date})).punches;
+  }
+}
+
+// backend จำลองสำหรับเปิดดูในเครื่อง ใช้ interface เดียวกับ DashboardApi
+// ข้อมูลสุ่มแบบคงที่ตามพนักงานและวันที่ (เปิดวันเดิมได้ผลเดิมทุกครั้ง)
+class MockBackend {
+  static get TEAM() {
+    return [
+      {employeeId: 'E001', name: 'สมชาย ใจดี', department: 'คลังสินค้า'},
+      {employeeId: 'E002', name: 'สมหญิง รักงาน', department: 'คลังสินค้า'},
+      {employeeId: 'E003', name: 'วิชัย มั่นคง', department: 'ขนส่ง'},
+      {employeeId: 'E004', name: 'มาลี สุขใจ', department: 'ขนส่ง'},
+      {employeeId: 'E005', name: 'ประเสริฐ ทองดี', department: 'สำนักงาน'},
+      {employeeId: 'E006', name: 'จันทร์เพ็ญ แสงทอง', department: 'สำนักงาน'},
+      {employeeId: 'E007', name: 'ธนากร ศรีสุข', department: 'ผลิต'},
+      {employeeId: 'E008', name: 'อรุณี พรหมมา', department: 'ผลิต'}
+    ];
+  }
+
+  static get SITE() {
+    return {name: 'สำนักงานใหญ่', latitude: 13.7563, longitude: 100.5018};
+  }
+
+  // ตัวเลขสุ่มแบบ deterministic ในช่วง [0, 1) จาก string
+  static random(seed) {
+    let h = 2166136261;
+    for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  }
+
+  // ภาพแทนใบหน้า (SVG อักษรย่อ) เพราะไม่มีภาพจริงในโหมดจำลอง
+  static photoUrl(employee) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="96" height="96"><rect width="96" height="96" fill="#d1fae5"/>` +
+      `<text x="48" y="58" font-size="32" text-anchor="middle" fill="#065f46">${employee.employeeId}</text></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+  }
+
+  punch(employee, type, date, hour, minute) {
+    const [year, month, day] = date.split('-').map(Number);
+    const jitter = MockBackend.random(`${employee.employeeId}:${date}:${type}:loc`);
+    const site = MockBackend.SITE;
+    return {
+      type,
+      timestamp: new Date(year, month - 1, day, hour, minute).toISOString(),
+      location: {latitude: site.latitude + (jitter - 0.5) / 1000, longitude: site.longitude + (jitter - 0.5) / 1000, accuracy: 10 + Math.round(jitter * 40)},
+      geofence: {site: site.name, distance: Math.round(jitter * 60), inZone: true, accuracyOk: true},
+      detectionMethod: jitter > 0.1 ? 'face-api.js' : 'simulation',
+      simulation: jitter > 0.1 ? null : {policy: 'flag', pinVerified: false, flagged: true},
+      faceMatch: jitter > 0.1 ? {score: 80 + Math.round(jitter * 18), matched: true} : null,
+      liveness: jitter > 0.1 ? {passed: true, challenge: 'blink', durationMs: 1500} : null,
+      photoUrl: MockBackend.photoUrl(employee)
+    };
+  }
+
+  // กะ 08:30 - 17:30 วันจันทร์ - ศุกร์ มาสายเมื่อเกิน 10 นาที
+  day(employee, date, now = new Date()) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+    const result = {...employee, status: 'absent', checkIn: null, checkOut: null, lateMinutes: 0, leaveType: null, punches: []};
+    if (weekday === 0 || weekday === 6) return {...result, status: 'day-off'};
+    if (date > toDateKey(now)) return {...result, status: 'not-started'};
+
+    const roll = MockBackend.random(`${employee.employeeId}:${date}`);
+    if (roll < 0.08) return {...result, status: 'leave', leaveType: LEAVE_TYPES[Math.floor(roll * 100) % 3]};
+    if (roll < 0.16) return {...result, status: date === toDateKey(now) ? 'not-started' : 'absent'};
+
+    const lateBy = roll < 0.4 ? 11 + Math.round(roll * 60) : Math.round(roll * 10);
+    const checkIn = this.punch(employee, 'check-in', date, 8, 20 + lateBy);
+    if (new Date(checkIn.timestamp) > now) return {...result, status: 'not-started'};
+    result.punches.push(checkIn);
+    result.checkIn = checkIn.timestamp;
+    result.lateMinutes = lateBy > 10 ? lateBy : 0;
+
+    const breakStart = this.punch(employee, 'break-start', date, 12, Math.round(roll * 10));
+    const breakEnd = this.punch(employee, 'break-end', date, 12, 50 + Math.round(roll * 10));
+    const checkOut = this.punch(employee, 'check-out', date, 17, 30 + Math.round(roll * 45));
+    [breakStart, breakEnd, checkOut].forEach(p => { if (new Date(p.timestamp) <= now) result.punches.push(p); });
+
+    if (result.punches.includes(checkOut)) {
+      result.checkOut = checkOut.timestamp;
+      result.status = 'out';
+    } else {
+      result.status = result.lateMinutes > 0 ? 'late' : 'in';
+    }
+    return result;
+  }
+
+  async teamAttendance(date) {
+    return MockBackend.TEAM.map(employee => {
+      // รายการลงเวลาดึงแยกผ่าน employeePunches เหมือน backend จริง
+      const summary = this.day(employee, date);
+      delete summary.punches;
+      return summary;
+    });
+  }
+
+  async employeePunches(employeeId, date) {
+    const employee = MockBackend.TEAM.find(e => e.employeeId === employeeId);
+    return employee ? this.day(employee, date).punches : [];
+  }
+}
+
+class SupervisorDashboard {
+  constructor() {
+    this.session = currentSession();
+    this.team = [];
+    this.selectedEmployeeId = null;
+
+    if (!this.session && DASHBOARD_CONFIG.mockDevMode) {
+      // โหมดจำลองเปิดดูได้โดยไม่ต้องล็อกอินผ่าน LINE
+      this.session = {employeeId: 'S001', lineUserId: 'mock', name: t('dashboard.mockSupervisor'), role: 'supervisor'};
+    }
+    if (!this.session) {
+      location.href = 'login.html?redirect=dashboard.html';
+      return;
+    }
+    if (!DASHBOARD_CONFIG.allowedRoles.includes(this.session.role)) {
+      document.getElementById('dashboardContent').style.display = 'none';
+      document.getElementById('accessDenied').style.display = '';
+      return;
+    }
+
+    this.api = DASHBOARD_CONFIG.mockDevMode ? new MockBackend() : new DashboardApi(this.session);
+    this.init();
+  }
+
+  init() {
+    document.getElementById('supervisorName').textContent = `${this.session.name} (${this.session.employeeId})`;
+    document.getElementById('mockBanner').style.display = DASHBOARD_CONFIG.mockDevMode ? '' : 'none';
+
+    const dateInput = document.getElementById('filterDate');
+    dateInput.value = toDateKey(new Date());
+    dateInput.addEventListener('change', () => this.loadTeam());
+    document.getElementById('filterEmployee').addEventListener('input', () => this.renderTeam());
+    document.getElementById('filterStatus').addEventListener('change', () => this.renderTeam());
+    document.getElementById('refreshBtn').addEventListener('click', () => this.loadTeam());
+    I18n.onChange(() => this.onLocaleChange());
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+      ['employeeId', 'name', 'userId', 'sessionExpiresAt', 'role'].forEach(key => localStorage.removeItem(key));
+      location.href = 'login.html?redirect=dashboard.html';
+    });
+
+    this.loadTeam();
+  }
+
+  // เปลี่ยนภาษา: วาดรายการทีมและรายละเอียดใหม่จากข้อมูลเดิม ไม่ต้องโหลดซ้ำ
+  onLocaleChange() {
+    document.getElementById('supervisorName').textContent = `${this.session.name} (${this.session.employeeId})`;
+    this.renderTeam();
+    if (this.selectedEmployeeId) this.showEmployee(this.selectedEmployeeId);
+  }
+
+  get date() {
+    return document.getElementById('filterDate').value;
+  }
+
+  showAlert(message, type) {
+    const container = document.getElementById('alertContainer');
+    container.innerHTML = `<div class="alert ${type}">${escapeHtml(message)}</div>`;
+    setTimeout(() => { container.innerHTML = ''; }, 5000);
+  }
+
+  async loadTeam() {
+    const list = document.getElementById('teamList');
+    list.innerHTML = `<div class="empty-state"><p>${t('dashboard.loading')}</p></div>`;
+    try {
+      this.team = await this.api.teamAttendance(this.date);
+    } catch (error) {
+      console.error('Team attendance error:', error);
+      this.team = [];
+      this.showAlert(t('dashboard.teamFailed', {error: error.message}), 'error');
+    }
+    this.renderSummary();
+    this.renderTeam();
+    if (this.selectedEmployeeId) this.showEmployee(this.selectedEmployeeId);
+  }
+
+  renderSummary() {
+    const count = (...statuses) => this.team.filter(e => statuses.includes(e.status)).length;
+    document.getElementById('countIn').textContent = count('in', 'late');
+    document.getElementById('countLate').textContent = this.team.filter(e => e.lateMinutes > 0).length;
+    document.getElementById('countOut').textContent = count('out');
+    document.getElementById('countAbsent').textContent = count('absent');
+    document.getElementById('countLeave').textContent = count('leave');
+    document.getElementById('countNotStarted').textContent = count('not-started');
+  }
+
+  filteredTeam() {
+    const query = document.getElementById('filterEmployee').value.trim().toLowerCase();
+    const status = document.getElementById('filterStatus').value;
+    return this.team.filter(e => {
+      if (query && !`${e.employeeId} ${e.name}`.toLowerCase().includes(query)) return false;
+      if (status === 'late') return e.lateMinutes > 0;
+      return status === 'all' || e.status === status;
+    });
+  }
+
+  formatTime(iso) {
+    return iso ? I18n.formatTime(new Date(iso)) : '-';
+  }
+
+  renderTeam() {
+    const list = document.getElementById('teamList');
+    const team = this.filteredTeam();
+    if (team.length === 0) {
+      list.innerHTML = `<div class="empty-state"><p>${t('dashboard.noEmployees')}</p></div>`;
+      return;
+    }
+    list.innerHTML = team.map(e => `
+      <button class="team-row${e.employeeId === this.selectedEmployeeId ? ' selected' : ''}" data-id="${escapeHtml(e.employeeId)}">
+        <span class="team-name">${escapeHtml(e.name)}<small>${escapeHtml(e.employeeId)}${e.department ? ` • ${escapeHtml(e.department)}` : ''}</small></span>
+        <span class="team-times">${this.formatTime(e.checkIn)} - ${this.formatTime(e.checkOut)}</span>
+        <span class="team-status ${e.status}">${escapeHtml(label('dashboard.status', e.status))}${e.status === 'leave' && e.leaveType ? ` (${escapeHtml(label('leave', e.leaveType))})` : ''}${e.lateMinutes > 0 ? t('dashboard.lateBy', {minutes: e.lateMinutes}) : ''}</span>
+      </button>
+    `).join('');
+    list.querySelectorAll('.team-row').forEach(row => {
+      row.addEventListener('click', () => this.showEmployee(row.getAttribute('data-id')));
+    });
+  }
+
+  async showEmployee(employeeId) {
+    this.selectedEmployeeId = employeeId;
+    this.renderTeam();
+    const employee = this.team.find(e => e.employeeId === employeeId);
+    const detail = document.getElementById('employeeDetail');
+    detail.innerHTML = `<h3>${escapeHtml(employee ? employee.name : employeeId)}</h3><div class="empty-state"><p>${t('dashboard.loading')}</p></div>`;
+
+    let punches = [];
+    try {
+      punches = await this.api.employeePunches(employeeId, this.date);
+    } catch (error) {
+      console.error('Employee punches error:', error);
+      this.showAlert(t('dashboard.punchesFailed', {error: error.message}), 'error');
+    }
+    // ผู้ใช้เลือกคนอื่นระหว่างรอผล
+    if (employeeId !== this.selectedEmployeeId) return;
+
+    detail.querySelector('.empty-state').remove();
+    if (punches.length === 0) {
+      detail.innerHTML += `<div class="empty-state"><p>${t('dashboard.noPunches')}</p></div>`;
+      return;
+    }
+    punches
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(punch => detail.appendChild(this.renderPunch(punch)));
+  }
+
+  renderPunch(punch) {
+    const item = document.createElement('div');
+    item.className = `history-item ${punch.type}`;
+    const location = punch.location
+      ? `<a href="https://www.google.com/maps?q=${punch.location.latitude},${punch.location.longitude}" target="_blank" rel="noopener">${punch.location.latitude.toFixed(6)}, ${punch.location.longitude.toFixed(6)}</a> (±${t('history.meters', {meters: Math.round(punch.location.accuracy)})})`
+      : '-';
+    const geofence = punch.geofence
+      ? `${escapeHtml(punch.geofence.site)} (${punch.geofence.inZone ? t('geofence.inZone') : t('geofence.outZone', {distance: punch.geofence.distance})})`
+      : '-';
+    item.innerHTML = `
+      <div class="history-details">
+        <h4>${t('dashboard.punchTime', {type: escapeHtml(label('punch', punch.type)), time: this.formatTime(punch.timestamp)})}</h4>
+        <p><strong>${t('history.location')}</strong> ${location}</p>
+        <p><strong>${t('history.site')}</strong> ${geofence}</p>
+        <p><strong>${t('history.detection')}</strong> ${escapeHtml(punch.detectionMethod || 'simulation')}${punch.simulation ? ` (${label('simulation.policy', punch.simulation.policy)}${t('history.pendingReview')})` : ''}</p>
+        <p><strong>${t('history.faceMatch')}</strong> ${punch.faceMatch ? (punch.faceMatch.matched ? `${punch.faceMatch.score}%` : t('history.faceMismatch', {score: punch.faceMatch.score, flag: ''})) : '-'}</p>
+        <p><strong>${t('history.liveness')}</strong> ${punch.liveness ? t(punch.liveness.passed ? 'history.pass' : 'history.fail') : '-'}</p>
+      </div>
+      <div class="history-face"></div>
+    `;
+    if (punch.photoUrl) {
+      const img = document.createElement('img');
+      img.alt = 'face';
+      img.loading = 'lazy';
+      img.src = punch.photoUrl;
+      item.querySelector('.history-face').appendChild(img);
+    }
+    return item;
+  }
+}
+
+window.supervisorDashboard = new SupervisorDashboard();
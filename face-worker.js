@@ -0,0 +1,86 @@
+// face-worker.js
+// Web Worker ตรวจจับใบหน้าด้วย face-api.js นอก main thread (ใช้โดย WorkerFaceDetector ใน main.js)
+// รับเฟรมเป็น ImageBitmap และ weights ที่ ModelLoader โหลดและตรวจความถูกต้องแล้ว จึงไม่ต้องโหลดไฟล์ซ้ำในนี้
+//
+// ข้อความจาก main.js: {id, type: 'load', net, groups: [{data, weights}]}
+//                     {id, type: 'detect', frame, options, descriptor}
+// ตอบกลับ: {id, ok: true, result} หรือ {id, ok: false, error}
+
+// ต้องตรงกับ <script src> ของ face-api.js ใน index.html
+importScripts('https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js');
+
+// face-api.js อ่าน environment จาก DOM ซึ่งไม่มีใน worker จึงกำหนดเอง
+// (ส่งภาพเข้าเป็น tensor เสมอ จึงไม่ต้องใช้ Image/Video element)
+class Unavailable {}
+faceapi.env.setEnv({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: Unavailable,
+  ImageData,
+  Video: Unavailable,
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => { throw new Error('Image elements are not available in a worker'); },
+  fetch: (...args) => fetch(...args),
+  readFile: () => { throw new Error('readFile is not available in a worker'); }
+});
+
+const canvas = new OffscreenCanvas(1, 1);
+const ctx = canvas.getContext('2d', {willReadFrequently: true});
+
+// ต้องตรงกับ FaceDetector.detectorOptions ใน main.js
+function detectorOptions(options) {
+  return options.detector === 'tiny'
+    ? new faceapi.TinyFaceDetectorOptions({inputSize: options.inputSize, scoreThreshold: options.scoreThreshold})
+    : new faceapi.SsdMobilenetv1Options({minConfidence: options.scoreThreshold});
+}
+
+// ผลลัพธ์แบบ plain object ส่งกลับ main thread ได้ (ต้องตรงกับ FaceDetector.serialize ใน main.js)
+function serialize(result) {
+  const box = result.detection.box;
+  return {
+    box: {x: box.x, y: box.y, width: box.width, height: box.height},
+    score: result.detection.score,
+    landmarks: result.landmarks.positions.map(p => ({x: p.x, y: p.y})),
+    descriptor: result.descriptor ? Array.from(result.descriptor) : null
+  };
+}
+
+function load({net, groups}) {
+  const weightMap = {};
+  groups.forEach(group => Object.assign(weightMap, faceapi.tf.io.decodeWeights(group.data, group.weights)));
+  faceapi.nets[net].loadFromWeightMap(weightMap);
+  return true;
+}
+
+async function detect({frame, options, descriptor}) {
+  canvas.width = frame.width;
+  canvas.height = frame.height;
+  ctx.drawImage(frame, 0, 0);
+  frame.close();
+  const input = faceapi.tf.browser.fromPixels(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  try {
+    if (descriptor) {
+      const result = await faceapi.detectSingleFace(input, detectorOptions(options)).withFaceLandmarks().withFaceDescriptor();
+      return result ? [serialize(result)] : [];
+    }
+    const results = await faceapi.detectAllFaces(input, detectorOptions(options)).withFaceLandmarks();
+    return results.map(serialize);
+  } finally {
+    input.dispose();
+  }
+}
+
+// ทำทีละข้อความตามลำดับ เฟรมที่ส่งมาระหว่างทำงานจะรอคิว ไม่ทำซ้อนกัน
+let queue = Promise.resolve();
+self.onmessage = (event) => {
+  const message = event.data;
+  queue = queue.then(async () => {
+    try {
+      const result = message.type === 'load' ? load(message) : await detect(message);
+      self.postMessage({id: message.id, ok: true, result});
+    } catch (error) {
+      if (message.frame) message.frame.close();
+      self.postMessage({id: message.id, ok: false, error: String(error.message || error)});
+    }
+  });
+};
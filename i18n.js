@@ -0,0 +1,969 @@
+// i18n.js
+// ข้อความบนหน้าจอ (ไทย/อังกฤษ) และการจัดรูปแบบวันที่เวลาตามภาษาที่เลือก ใช้ร่วมกันทุกหน้า
+// HTML ระบุข้อความด้วย data-i18n="key" (textContent), data-i18n-placeholder และ data-i18n-aria-label
+// ข้อความที่มีตัวแปรใช้ {name} ข้อความที่เปลี่ยนตามจำนวนเป็น {one, other} เลือกตาม params.count
+
+const I18N_MESSAGES = {
+  th: {
+    'app.title': 'ระบบลงเวลาทำงาน',
+    'app.heading': 'ลงเวลาทำงาน',
+    'app.language': 'ภาษา',
+    'app.updateAvailable': 'มีเวอร์ชันใหม่พร้อมใช้งาน',
+    'app.update': 'อัปเดต',
+    'app.logout': 'ออกจากระบบ',
+    'app.logoutConfirm': 'ต้องการออกจากระบบหรือไม่?',
+    'app.sessionExpired': 'เซสชันหมดอายุ กรุณาเข้าสู่ระบบใหม่',
+    'app.dashboardLink': 'แดชบอร์ดทีม',
+    'app.network': 'เครือข่าย',
+    'app.checking': 'ตรวจสอบ...',
+    'app.processing': 'กำลังประมวลผล...',
+    'app.loadScriptFailed': 'โหลด {src} ไม่สำเร็จ',
+
+    'tab.attendance': 'ลงเวลา',
+    'tab.history': 'ประวัติ',
+    'tab.requests': 'คำขอ',
+
+    'network.online': 'ออนไลน์',
+    'network.offline': 'ออฟไลน์',
+    'network.backOnline': 'กลับมาออนไลน์แล้ว กำลังโหลด Face Detection ใหม่...',
+    'network.lostQueued': 'หลุดการเชื่อมต่อ internet ข้อมูลจะถูกส่งเมื่อกลับมาออนไลน์',
+    'network.lostSimulation': 'หลุดการเชื่อมต่อ internet จะใช้โหมดจำลอง',
+    'network.lostNoFace': 'หลุดการเชื่อมต่อ internet และระบบตรวจใบหน้ายังไม่พร้อม ลงเวลาไม่ได้จนกว่าจะเชื่อมต่ออีกครั้ง',
+    'sync.pendingCount': '• รอส่ง {count} รายการ',
+    'sync.allSent': '• ส่งข้อมูลครบแล้ว',
+    'sync.pending': 'รอส่ง',
+    'sync.synced': 'ส่งแล้ว',
+    'sync.failed': 'ส่งไม่สำเร็จ',
+
+    'punch.check-in': 'เข้างาน',
+    'punch.check-out': 'ออกงาน',
+    'punch.break-start': 'เริ่มพัก',
+    'punch.break-end': 'กลับจากพัก',
+    'punch.breaks': 'พัก',
+    'punch.needFace': 'กรุณาตรวจสอบใบหน้าก่อน',
+    'punch.needLocation': 'กรุณารอการตรวจสอบตำแหน่ง',
+    'punch.confirmInvalid': '{message}\nต้องการลงเวลา{type}ต่อหรือไม่? (รายการจะถูกทำเครื่องหมายให้ตรวจสอบ)',
+    'punch.saving': 'กำลังบันทึก{type}...',
+    'punch.saveFailed': 'บันทึกการลงเวลาไม่สำเร็จ กรุณาลองใหม่',
+    'punch.success': '✅ ลงเวลา{type}สำเร็จ!',
+    'punch.successTime': 'เวลา: {time}',
+    'punch.buttonDone': '✓ {type}สำเร็จ',
+    'punch.duplicate': 'ลงเวลา{type}ไปแล้วเมื่อ {seconds} วินาทีที่แล้ว',
+    'punch.onBreakCheckIn': 'กำลังพักอยู่ กรุณากด "กลับจากพัก"',
+    'punch.alreadyIn': 'เข้างานแล้ว',
+    'punch.onBreakCheckOut': 'กำลังพักอยู่ กรุณากด "กลับจากพัก" ก่อนออกงาน',
+    'punch.notIn': 'ยังไม่ได้เข้างาน',
+    'punch.alreadyOnBreak': 'กำลังพักอยู่แล้ว',
+    'punch.notOnBreak': 'ยังไม่ได้กด "เริ่มพัก"',
+
+    'state.off': 'ยังไม่เข้างาน',
+    'state.working': 'เข้างานแล้ว',
+    'state.on-break': 'พักอยู่',
+    'state.checkedOut': 'ออกงานแล้ว',
+
+    'kiosk.modeName': 'โหมดเครื่องส่วนกลาง (Kiosk)',
+    'kiosk.enterCredentials': 'กรอกรหัสพนักงานและ PIN',
+    'kiosk.employeeId': 'รหัสพนักงาน',
+    'kiosk.clear': 'ล้าง',
+    'kiosk.next': 'ถัดไป (PIN)',
+    'kiosk.submit': 'ยืนยัน',
+    'kiosk.hello': 'สวัสดี',
+    'kiosk.lookAtCamera': 'กรุณามองกล้องแล้วกดเข้างานหรือออกงาน',
+    'kiosk.cancel': 'ไม่ใช่ฉัน / ยกเลิก',
+    'kiosk.confirmed': '{type} เวลา {time} น.',
+    'kiosk.missingCredentials': 'กรุณากรอกรหัสพนักงานและ PIN',
+    'kiosk.locked': 'ใส่ PIN ผิดหลายครั้ง กรุณารอ {seconds} วินาที',
+    'kiosk.invalidPin': 'รหัสพนักงานหรือ PIN ไม่ถูกต้อง',
+    'kiosk.offlineUnknown': 'ออฟไลน์อยู่ และยังไม่เคยลงเวลาที่เครื่องนี้ กรุณาลองใหม่เมื่อมี internet',
+
+    'camera.start': 'เปิดกล้อง',
+    'camera.started': 'กล้องเปิดแล้ว',
+    'camera.opened': 'เปิดกล้องสำเร็จ',
+    'camera.failed': 'ไม่สามารถเปิดกล้องได้ กรุณาตรวจสอบการอนุญาต',
+    'camera.idleStopped': 'ปิดกล้องแล้วเพราะไม่พบใบหน้าเป็นเวลานาน กดเปิดกล้องเมื่อต้องการลงเวลา',
+
+    'info.date': 'วันที่',
+    'info.time': 'เวลา',
+    'info.status': 'สถานะ',
+    'info.verification': 'การตรวจสอบ',
+    'info.notPunched': 'ยังไม่ได้ลงเวลา',
+    'info.notVerified': 'ยังไม่ได้ตรวจสอบ',
+
+    'model.detector': 'ตัวตรวจจับ',
+    'model.ssd': 'SSD MobileNet (แม่นยำ)',
+    'model.tiny': 'Tiny Face Detector (เร็ว สำหรับมือถือรุ่นเล็ก)',
+    'model.local': 'ในเครื่อง',
+    'model.loading': 'กำลังโหลด Face Detection...',
+    'model.loadingModel': 'กำลังโหลด {model} {percent}%',
+    'model.ready': 'Face Detection พร้อมใช้งาน',
+    'model.loaded': 'โหลด Face Detection สำเร็จ',
+    'model.offlineStatus': 'ไม่มี internet - ใช้โหมดจำลอง',
+    'model.offlineAlert': 'ไม่มีการเชื่อมต่อ internet และยังไม่มี model ในเครื่อง จะใช้โหมดจำลอง',
+    'model.failedStatus': 'Face Detection ล้มเหลว - ใช้โหมดจำลอง',
+    'model.failedAlert': 'ไม่สามารถโหลด Face Detection ได้ จะใช้โหมดจำลอง',
+
+    'face.detectedLive': 'ตรวจพบใบหน้า ({confidence}%) - ยืนยันบุคคลจริงแล้ว',
+    'face.detectedChallenge': 'ตรวจพบใบหน้า ({confidence}%) - {instruction}',
+    'face.notFound': 'ไม่พบใบหน้า',
+    'face.simDetected': 'ตรวจพบใบหน้า (โหมดจำลอง)',
+    'face.simNotFound': 'ไม่พบใบหน้า (โหมดจำลอง)',
+
+    'liveness.blink': 'กรุณากะพริบตาช้าๆ',
+    'liveness.turn-left': 'กรุณาหันหน้าไปทางซ้าย',
+    'liveness.turn-right': 'กรุณาหันหน้าไปทางขวา',
+    'liveness.open-mouth': 'กรุณาอ้าปาก',
+    'liveness.look': 'กรุณามองกล้อง',
+    'liveness.failed': 'ไม่ผ่านการตรวจสอบบุคคลจริง ({instruction}) กรุณาลองใหม่',
+    'quality.too-far': 'ขยับเข้ามาใกล้ขึ้น',
+    'quality.too-close': 'ถอยออกห่างอีกนิด',
+    'quality.off-center': 'ขยับใบหน้าให้อยู่กลางกรอบ',
+    'quality.turned': 'มองตรงเข้ากล้อง',
+    'quality.tilted': 'ตั้งศีรษะให้ตรง',
+    'quality.too-dark': 'มืดเกินไป',
+    'quality.too-bright': 'สว่างเกินไป',
+    'quality.backlit': 'ย้อนแสง กรุณาหันหน้าเข้าหาแสง',
+    'quality.low-contrast': 'แสงไม่พอ ภาพไม่คมชัด',
+    'quality.blurry': 'ภาพเบลอ กรุณาถือกล้องให้นิ่ง',
+    'quality.rejected': 'ภาพไม่ผ่านเกณฑ์คุณภาพ: {issues}',
+
+    'enroll.button': 'ลงทะเบียนใบหน้า',
+    'enroll.noEmployee': 'ไม่พบรหัสพนักงาน กรุณาเข้าสู่ระบบก่อน',
+    'enroll.needModels': 'ต้องโหลด Face Detection ให้สำเร็จก่อนลงทะเบียนใบหน้า',
+    'enroll.already': 'ลงทะเบียนใบหน้าไว้แล้ว หากต้องการเปลี่ยนกรุณาติดต่อผู้ดูแลระบบ',
+    'enroll.inProgress': 'กำลังลงทะเบียนใบหน้า กรุณามองกล้องและขยับศีรษะเล็กน้อย...',
+    'enroll.notEnough': 'ตรวจพบใบหน้าไม่เพียงพอ',
+    'enroll.success': 'ลงทะเบียนใบหน้าสำเร็จ',
+    'enroll.failed': 'ลงทะเบียนใบหน้าไม่สำเร็จ กรุณาลองใหม่ในที่ที่มีแสงเพียงพอ',
+
+    'identity.needPin': 'กรุณากรอกรหัสพนักงานและ PIN ก่อนลงเวลา',
+    'identity.needLiveness': 'กรุณาทำตามคำแนะนำบนหน้าจอเพื่อยืนยันบุคคลจริงก่อน',
+    'identity.needEnroll': 'กรุณาลงทะเบียนใบหน้าก่อนลงเวลา',
+    'identity.matchError': 'ไม่สามารถตรวจสอบใบหน้าได้ กรุณาลองใหม่',
+    'identity.mismatch': 'ใบหน้าไม่ตรงกับที่ลงทะเบียนไว้ ({score}%) ไม่สามารถลงเวลาได้',
+    'identity.lineMismatch': 'บัญชี LINE ที่เปิดอยู่ไม่ตรงกับบัญชีที่ผูกไว้ตอนเข้าสู่ระบบ ไม่สามารถลงเวลาได้ กรุณาออกจากระบบแล้วเข้าสู่ระบบใหม่',
+    'line.confirmTitle': 'บันทึก{type}แล้ว',
+    'line.confirmTime': 'เวลา: {time} น.',
+    'line.confirmSite': 'สถานที่: {site}',
+    'line.confirmAlt': 'บันทึก{type}แล้ว {time} น.',
+    'simulation.forbiddenStatus': 'ตรวจใบหน้าไม่ได้ - ไม่อนุญาตให้ใช้โหมดจำลอง',
+    'simulation.forbidden': 'ลงเวลาไม่ได้ เพราะระบบตรวจใบหน้าไม่พร้อมและไม่อนุญาตให้ใช้โหมดจำลอง กรุณาเชื่อมต่อ internet แล้วโหลดหน้าใหม่',
+    'simulation.pinLabel': 'ระบบตรวจใบหน้าไม่พร้อม กรอก PIN เพื่อยืนยันตัวตนก่อนลงเวลา',
+    'simulation.needPin': 'โหมดจำลอง: กรุณากรอก PIN ก่อนลงเวลา',
+    'simulation.policy.flag': 'ไม่ได้ตรวจใบหน้า',
+    'simulation.policy.pin': 'ยืนยันด้วย PIN แทนใบหน้า',
+    'simulation.policy.developer': 'โหมดนักพัฒนา',
+
+    'location.heading': 'ข้อมูลตำแหน่ง',
+    'location.locating': 'กำลังหาตำแหน่ง...',
+    'location.coords': 'ละติจูด: {latitude}, ลองจิจูด: {longitude}',
+    'location.accuracy': 'ความแม่นยำ: {meters} เมตร',
+    'location.failed': 'ไม่สามารถหาตำแหน่งได้',
+    'location.enable': 'กรุณาเปิดการใช้งานตำแหน่ง',
+    'location.inaccurate': 'ตำแหน่งไม่แม่นยำพอ (±{meters} เมตร) กรุณาลองใหม่ในที่โล่ง',
+    'location.outside': 'อยู่นอกพื้นที่ทำงาน (ห่างจาก {site} {distance} เมตร) ไม่สามารถลงเวลาได้',
+    'geofence.inZone': 'ในพื้นที่',
+    'geofence.outZone': 'นอกพื้นที่ {distance} เมตร',
+    'geofence.inaccurate': ', ตำแหน่งไม่แม่นยำ',
+
+    'summary.heading': 'สรุปวันนี้',
+    'summary.checkIn': 'เข้างาน:',
+    'summary.checkOut': 'ออกงาน:',
+    'summary.checkInSite': 'สถานที่เข้างาน:',
+    'summary.checkOutSite': 'สถานที่ออกงาน:',
+    'summary.shift': 'กะทำงาน:',
+    'summary.status': 'สถานะวันนี้:',
+    'summary.break': 'เวลาพัก:',
+    'summary.worked': 'ชั่วโมงทำงานสุทธิ:',
+    'summary.late': 'มาสาย:',
+    'summary.earlyLeave': 'ออกก่อนเวลา:',
+    'summary.overtime': 'OT:',
+    'summary.edited': ' (แก้ไข)',
+
+    'duration.minutes': '{minutes} นาที',
+    'duration.hoursMinutes': '{hours} ชม. {minutes} นาที',
+    'duration.seconds': '{seconds} วินาที',
+    'duration.minutesSeconds': '{minutes} นาที {seconds} วินาที',
+
+    'day.complete': 'ครบ',
+    'day.working': 'กำลังทำงาน',
+    'day.incomplete': 'ไม่ได้ลงเวลาออก',
+    'day.absent': 'ขาดงาน',
+    'day.not-started': 'ยังไม่เข้างาน',
+    'day.day-off': 'วันหยุด',
+    'day.leave': 'ลา',
+
+    'history.heading': 'ประวัติการลงเวลา',
+    'history.verifyAgain': 'ตรวจสอบอีกครั้ง',
+    'history.all': 'ทั้งหมด',
+    'history.list': 'รายการ',
+    'history.calendar': 'ปฏิทิน',
+    'history.empty': 'ยังไม่มีประวัติการลงเวลา',
+    'history.loadMore': 'โหลดเพิ่มเติม',
+    'history.date': 'วันที่:',
+    'history.time': 'เวลา:',
+    'history.location': 'ตำแหน่ง:',
+    'history.accuracy': 'ความแม่นยำ:',
+    'history.meters': '{meters} เมตร',
+    'history.site': 'สถานที่:',
+    'history.deviceTime': 'เวลาเครื่อง:',
+    'history.detection': 'การตรวจจับ:',
+    'history.faceMatch': 'ใบหน้าตรงกัน:',
+    'history.liveness': 'บุคคลจริง:',
+    'history.quality': 'คุณภาพภาพ:',
+    'history.late': 'มาสาย:',
+    'history.onTime': 'ตรงเวลา',
+    'history.worked': 'ชั่วโมงทำงานสุทธิ:',
+    'history.break': 'พัก:',
+    'history.earlyLeave': 'ออกก่อน:',
+    'history.overtime': 'OT:',
+    'history.pass': 'ผ่าน',
+    'history.fail': 'ไม่ผ่าน',
+    'history.faceMatched': '{score}% (ผ่าน)',
+    'history.faceMismatch': '{score}% (ไม่ตรง{flag})',
+    'history.pendingReview': ' - รอตรวจสอบ',
+    'history.livenessResult': '{result} ({challenge}, {seconds} วินาที)',
+    'history.photoPurged': {other: 'ลบภาพใบหน้าที่เก่ากว่า {days} วัน {count} รายการ คืนพื้นที่ {size}'},
+
+    'clock.notSynced': 'ยังไม่ได้เทียบกับเวลาเซิร์ฟเวอร์',
+    'clock.changed': 'นาฬิกาเครื่องถูกตั้งใหม่หลังเทียบเวลาครั้งล่าสุด',
+    'clock.inSync': 'ตรงกับเวลาเซิร์ฟเวอร์',
+    'clock.fast': 'เร็วกว่าเวลาจริง {amount}',
+    'clock.slow': 'ช้ากว่าเวลาจริง {amount}',
+
+    'calendar.prev': 'เดือนก่อนหน้า',
+    'calendar.next': 'เดือนถัดไป',
+    'calendar.legendNone': 'ไม่มีการลงเวลา',
+    'calendar.leaveApproved': '{leave} (อนุมัติแล้ว)',
+    'calendar.manualPunch': '✎ {type} {time} น. (แก้ไขด้วยคำขอที่อนุมัติแล้ว)',
+    'calendar.empty': 'ไม่มีการลงเวลาในวันนี้',
+
+    'integrity.checking': 'กำลังตรวจสอบความถูกต้องของข้อมูล...',
+    'integrity.failed': 'ตรวจสอบความถูกต้องของข้อมูลไม่สำเร็จ',
+    'integrity.unsigned': {other: ' (รายการเก่าที่ไม่มีลายเซ็น {count} รายการ)'},
+    'integrity.ok': {other: '🔒 ข้อมูลถูกต้อง ตรวจแล้ว {count} รายการ{unsigned}'},
+    'integrity.tampered': {other: '⚠️ พบความผิดปกติ {count} จุด{unsigned}'},
+    'integrity.issueRecord': 'รายการ #{id} ',
+    'integrity.issue': '{record}ลำดับ {seq}: {kind}',
+    'integrity.badge': 'ผิดปกติ',
+    'integrity.edited': 'ข้อมูลถูกแก้ไข',
+    'integrity.signature': 'ลายเซ็นไม่ถูกต้อง',
+    'integrity.photo': 'ภาพใบหน้าถูกเปลี่ยน',
+    'integrity.gap': 'มีรายการก่อนหน้าถูกลบ',
+    'integrity.reordered': 'ลำดับรายการถูกสลับ',
+    'integrity.broken': 'chain ไม่ต่อเนื่อง',
+    'integrity.truncated': 'รายการล่าสุดถูกลบ',
+    'integrity.key': 'ไม่พบ device key ที่ใช้ลงนาม',
+
+    'export.title': 'ส่งออก Timesheet',
+    'export.from': 'ตั้งแต่วันที่',
+    'export.to': 'ถึงวันที่',
+    'export.type': 'ประเภท',
+    'export.includePhotos': 'รวมภาพใบหน้า',
+    'export.print': 'พิมพ์ / PDF',
+    'export.invalidRange': 'กรุณาเลือกช่วงวันที่ให้ถูกต้อง',
+    'export.failed': 'ส่งออก Timesheet ไม่สำเร็จ: {error}',
+    'export.popupBlocked': 'เบราว์เซอร์บล็อกหน้าต่างใหม่',
+    'export.noData': 'ไม่มีข้อมูล',
+    'export.photoLink': 'เปิดภาพ',
+    'export.photoLocalOnly': '(ภาพอยู่ในเครื่องเท่านั้น ดูได้ในหน้าพิมพ์ / PDF)',
+    'export.yes': 'ใช่',
+    'export.no': 'ไม่ใช่',
+    'export.total': 'รวม',
+    'export.sheetPunches': 'รายการลงเวลา',
+    'export.sheetDays': 'รายวัน',
+    'export.printRange': 'รหัสพนักงาน: {employeeId} &nbsp; ช่วงวันที่: {from} ถึง {to}',
+    'export.printTotals': 'สรุปรวม',
+    'export.signEmployee': 'ลงชื่อพนักงาน ....................................',
+    'export.signSupervisor': 'ลงชื่อหัวหน้างาน ....................................',
+    'export.column.date': 'วันที่',
+    'export.column.time': 'เวลา',
+    'export.column.type': 'ประเภท',
+    'export.column.employeeId': 'รหัสพนักงาน',
+    'export.column.latitude': 'ละติจูด',
+    'export.column.longitude': 'ลองจิจูด',
+    'export.column.accuracy': 'ความแม่นยำ (เมตร)',
+    'export.column.site': 'สถานที่',
+    'export.column.inZone': 'ในพื้นที่',
+    'export.column.detection': 'การตรวจจับ',
+    'export.column.faceMatch': 'ใบหน้าตรงกัน (%)',
+    'export.column.liveness': 'บุคคลจริง',
+    'export.column.quality': 'คุณภาพภาพ',
+    'export.column.deviceTime': 'เวลาเครื่อง',
+    'export.column.skew': 'เวลาคลาดเคลื่อน (วินาที)',
+    'export.column.timezone': 'เขตเวลา',
+    'export.column.photo': 'ภาพใบหน้า',
+    'export.column.status': 'สถานะ',
+    'export.column.checkIn': 'เข้างาน',
+    'export.column.checkOut': 'ออกงาน',
+    'export.column.leave': 'การลา',
+    'export.column.break': 'พัก (นาที)',
+    'export.column.worked': 'ชั่วโมงทำงาน (นาที)',
+    'export.column.late': 'มาสาย (นาที)',
+    'export.column.earlyLeave': 'ออกก่อน (นาที)',
+    'export.column.overtime': 'OT (นาที)',
+    'export.column.completeDays': 'วันทำงานครบ',
+    'export.column.incompleteDays': 'ไม่ได้ลงเวลาออก',
+    'export.column.absentDays': 'ขาดงาน',
+
+    'backup.title': 'สำรอง / กู้คืนข้อมูล',
+    'backup.passphrase': 'Passphrase',
+    'backup.passphraseConfirm': 'ยืนยัน passphrase (เฉพาะตอนสำรอง)',
+    'backup.file': 'ไฟล์สำรอง (เฉพาะตอนกู้คืน)',
+    'backup.create': 'สำรองข้อมูล',
+    'backup.restore': 'กู้คืนจากไฟล์',
+    'backup.never': 'ยังไม่เคยสำรองข้อมูลในเครื่องนี้ ข้อมูลทั้งหมดอยู่ในเบราว์เซอร์นี้เท่านั้น',
+    'backup.last': 'สำรองข้อมูลล่าสุด {date}',
+    'backup.reminder': 'ไม่ได้สำรองข้อมูลมากกว่า {days} วัน หากเปลี่ยนเครื่องหรือล้างข้อมูลเว็บ ข้อมูลจะหายทั้งหมด (แท็บประวัติ > สำรอง / กู้คืนข้อมูล)',
+    'backup.passphraseTooShort': 'Passphrase ต้องยาวอย่างน้อย {length} ตัวอักษร',
+    'backup.passphraseMismatch': 'Passphrase ทั้งสองช่องไม่ตรงกัน',
+    'backup.needPassphrase': 'กรุณากรอก passphrase ที่ใช้ตอนสำรองข้อมูล',
+    'backup.chooseFile': 'กรุณาเลือกไฟล์สำรอง',
+    'backup.created': {other: 'สำรองข้อมูลแล้ว {count} รายการ เก็บไฟล์และ passphrase ไว้ในที่ปลอดภัย (ลืม passphrase จะกู้คืนไม่ได้)'},
+    'backup.failed': 'สำรองข้อมูลไม่สำเร็จ: {error}',
+    'backup.restored': 'กู้คืนแล้ว: เพิ่ม {added} รายการ ซ้ำ {duplicates} รายการ ขัดแย้ง {conflicts} รายการ',
+    'backup.restoreFailed': 'กู้คืนข้อมูลไม่สำเร็จ: {error}',
+    'backup.invalidFile': 'ไฟล์นี้ไม่ใช่ไฟล์สำรองของระบบหรือไฟล์เสียหาย',
+    'backup.newerVersion': 'ไฟล์สำรองนี้สร้างจากแอปเวอร์ชันใหม่กว่า กรุณาอัปเดตแอปก่อนกู้คืน',
+    'backup.unsupportedSchema': 'ไม่รองรับไฟล์สำรองจากฐานข้อมูลเวอร์ชัน {version}',
+    'backup.wrongPassphrase': 'Passphrase ไม่ถูกต้อง หรือไฟล์ถูกแก้ไข',
+    'backup.conflictsHeading': {other: 'ขัดแย้ง {count} รายการ (ข้อมูลในไฟล์ต่างจากในเครื่อง ใช้ข้อมูลในเครื่องไว้):'},
+    'backup.conflictRecord': 'ลงเวลา{type} {time}',
+    'backup.conflictFace': 'ใบหน้าที่ลงทะเบียนของ {employeeId}',
+    'backup.conflictRequest': 'คำขอ{kind} {time}',
+
+    'leave.sick': 'ลาป่วย',
+    'leave.personal': 'ลากิจ',
+    'leave.annual': 'ลาพักร้อน',
+
+    'request.heading': 'คำขอแก้ไขเวลา / ลา',
+    'request.kind': 'ประเภทคำขอ',
+    'request.kindCorrection': 'แก้ไขเวลา (ลืมลงเวลา)',
+    'request.kindLeave': 'ลา',
+    'request.date': 'วันที่',
+    'request.item': 'รายการ',
+    'request.time': 'เวลา',
+    'request.leaveType': 'ประเภทการลา',
+    'request.from': 'ตั้งแต่วันที่',
+    'request.to': 'ถึงวันที่',
+    'request.reason': 'เหตุผล',
+    'request.submit': 'ส่งคำขอ',
+    'request.empty': 'ยังไม่มีคำขอ',
+    'request.reasonLabel': 'เหตุผล:',
+    'request.submittedAt': 'ยื่นเมื่อ:',
+    'request.reviewNote': 'หมายเหตุผู้อนุมัติ:',
+    'request.correctionTitle': 'แก้ไขเวลา{type} {date} {time} น.',
+    'request.invalidCorrection': 'กรุณาระบุวันที่และเวลาที่ต้องการแก้ไขให้ถูกต้อง',
+    'request.invalidLeave': 'กรุณาเลือกช่วงวันลาให้ถูกต้อง',
+    'request.needReason': 'กรุณาระบุเหตุผล',
+    'request.saveFailed': 'บันทึกคำขอไม่สำเร็จ',
+    'request.sent': 'ส่งคำขอแล้ว รอการอนุมัติ',
+    'request.pending': 'รออนุมัติ',
+    'request.approved': 'อนุมัติแล้ว',
+    'request.rejected': 'ไม่อนุมัติ',
+
+    'login.title': 'KYN Time Hub – Login',
+    'login.subtitle': 'เข้าสู่ระบบด้วย Username/Password และผูก LINE เครื่องปัจจุบัน',
+    'login.mobileOnly': 'เปิดใช้งานบนมือถือเท่านั้น',
+    'login.mobileOnlyHint': 'โปรดสแกน QR หรือเปิดลิงก์นี้ใน LINE บนสมาร์ตโฟนของคุณ',
+    'login.checkingLine': 'กำลังตรวจสอบ LINE (เพื่อผูกอุปกรณ์)...',
+    'login.usernamePlaceholder': 'เช่น e001',
+    'login.submit': 'เข้าสู่ระบบ',
+    'login.reopenLine': 'เปิดผ่าน LINE อีกครั้ง',
+    'login.lineNote': 'หมายเหตุ: ต้องเปิดหน้านี้ผ่าน LINE (LIFF) เพื่อผูกบัญชีเข้ากับเครื่อง',
+    'login.liffStarting': 'กำลังเริ่มต้น LIFF...',
+    'login.lineNotLoggedIn': 'ยังไม่ได้ล็อกอิน LINE – กด "เปิดผ่าน LINE อีกครั้ง"',
+    'login.lineReady': 'ตรวจสอบ LINE สำเร็จ (พร้อมผูกอุปกรณ์)',
+    'login.liffFailed': 'ไม่สามารถเริ่ม LIFF ได้: {error}',
+    'login.missingFields': 'กรอก Username/Password ให้ครบ',
+    'login.needLine': 'ต้องเปิดผ่าน LINE (LIFF) เพื่อผูกอุปกรณ์',
+    'login.success': 'เข้าสู่ระบบสำเร็จ กำลังพาไปหน้าหลัก...',
+    'login.liffNotConfigured': 'ยังไม่ได้ตั้งค่า LIFF_ID',
+    'login.liffNotReady': 'LIFF ยังไม่พร้อม: {error}',
+    'password.title': 'เปลี่ยนรหัสผ่านครั้งแรก',
+    'password.rules': 'ตั้งรหัสอย่างน้อย 8 ตัวอักษร และมี ตัวพิมพ์ใหญ่/เล็ก และตัวเลข',
+    'password.current': 'รหัสผ่านปัจจุบัน',
+    'password.new': 'รหัสผ่านใหม่',
+    'password.newPlaceholder': 'อย่างน้อย 8 ตัวอักษร',
+    'password.confirm': 'ยืนยันรหัสผ่านใหม่',
+    'password.confirmPlaceholder': 'พิมพ์ซ้ำอีกครั้ง',
+    'password.save': 'บันทึกรหัสผ่านใหม่',
+    'password.cancel': 'ยกเลิก',
+    'password.missingFields': 'กรอกให้ครบทุกช่อง',
+    'password.mismatch': 'รหัสผ่านใหม่ไม่ตรงกัน',
+    'password.weak': 'รหัสผ่านใหม่ไม่แข็งแรงพอ',
+    'password.changed': 'เปลี่ยนรหัสผ่านสำเร็จ กำลังไปหน้าหลัก...',
+
+    'dashboard.title': 'แดชบอร์ดหัวหน้างาน',
+    'dashboard.back': 'กลับไปหน้าลงเวลา',
+    'dashboard.accessDenied': 'บัญชีนี้ไม่มีสิทธิ์เข้าถึงแดชบอร์ดหัวหน้างาน',
+    'dashboard.mockBanner': 'โหมดข้อมูลจำลอง (ไม่ได้เชื่อมต่อ backend)',
+    'dashboard.mockSupervisor': 'หัวหน้างาน (จำลอง)',
+    'dashboard.date': 'วันที่',
+    'dashboard.status': 'สถานะ',
+    'dashboard.search': 'ค้นหาพนักงาน',
+    'dashboard.searchPlaceholder': 'รหัสหรือชื่อ',
+    'dashboard.refresh': 'รีเฟรช',
+    'dashboard.summary': 'สรุปวันนี้',
+    'dashboard.employees': 'พนักงาน',
+    'dashboard.selectEmployee': 'เลือกพนักงานเพื่อดูรายละเอียดการลงเวลา',
+    'dashboard.loading': 'กำลังโหลด...',
+    'dashboard.noEmployees': 'ไม่พบพนักงาน',
+    'dashboard.noPunches': 'ไม่มีการลงเวลาในวันนี้',
+    'dashboard.lateBy': ' • สาย {minutes} นาที',
+    'dashboard.teamFailed': 'โหลดข้อมูลทีมไม่สำเร็จ: {error}',
+    'dashboard.punchesFailed': 'โหลดการลงเวลาไม่สำเร็จ: {error}',
+    'dashboard.punchTime': '{type} {time} น.',
+    'dashboard.status.all': 'ทั้งหมด',
+    'dashboard.status.in': 'ทำงานอยู่',
+    'dashboard.status.late': 'มาสาย',
+    'dashboard.status.out': 'ออกงานแล้ว',
+    'dashboard.status.absent': 'ขาดงาน',
+    'dashboard.status.leave': 'ลา',
+    'dashboard.status.not-started': 'ยังไม่เข้างาน',
+    'dashboard.status.day-off': 'วันหยุด',
+    'dashboard.count.in': 'ทำงานอยู่:',
+    'dashboard.count.late': 'มาสาย:',
+    'dashboard.count.out': 'ออกงานแล้ว:',
+    'dashboard.count.absent': 'ขาดงาน:',
+    'dashboard.count.leave': 'ลา:',
+    'dashboard.count.not-started': 'ยังไม่เข้างาน:'
+  },
+
+  en: {
+    'app.title': 'Time Attendance',
+    'app.heading': 'Time Attendance',
+    'app.language': 'Language',
+    'app.updateAvailable': 'A new version is available',
+    'app.update': 'Update',
+    'app.logout': 'Log out',
+    'app.logoutConfirm': 'Do you want to log out?',
+    'app.sessionExpired': 'Your session has expired. Please log in again.',
+    'app.dashboardLink': 'Team dashboard',
+    'app.network': 'Network',
+    'app.checking': 'Checking...',
+    'app.processing': 'Processing...',
+    'app.loadScriptFailed': 'Could not load {src}',
+
+    'tab.attendance': 'Attendance',
+    'tab.history': 'History',
+    'tab.requests': 'Requests',
+
+    'network.online': 'Online',
+    'network.offline': 'Offline',
+    'network.backOnline': 'Back online. Reloading face detection...',
+    'network.lostQueued': 'Internet connection lost. Records will be sent when you are back online.',
+    'network.lostSimulation': 'Internet connection lost. Simulation mode will be used.',
+    'network.lostNoFace': 'Internet connection lost and face detection is not ready. Recording is unavailable until you reconnect.',
+    'sync.pendingCount': {one: '• {count} record waiting to send', other: '• {count} records waiting to send'},
+    'sync.allSent': '• All records sent',
+    'sync.pending': 'Pending',
+    'sync.synced': 'Sent',
+    'sync.failed': 'Send failed',
+
+    'punch.check-in': 'Check in',
+    'punch.check-out': 'Check out',
+    'punch.break-start': 'Start break',
+    'punch.break-end': 'End break',
+    'punch.breaks': 'Breaks',
+    'punch.needFace': 'Please verify your face first.',
+    'punch.needLocation': 'Please wait for your location to be checked.',
+    'punch.confirmInvalid': '{message}\nRecord "{type}" anyway? (The record will be flagged for review.)',
+    'punch.saving': 'Saving {type}...',
+    'punch.saveFailed': 'Could not save the record. Please try again.',
+    'punch.success': '✅ {type} recorded!',
+    'punch.successTime': 'Time: {time}',
+    'punch.buttonDone': '✓ {type} done',
+    'punch.duplicate': '{type} was already recorded {seconds} seconds ago.',
+    'punch.onBreakCheckIn': 'You are on a break. Please press "End break".',
+    'punch.alreadyIn': 'You are already checked in.',
+    'punch.onBreakCheckOut': 'You are on a break. Please press "End break" before checking out.',
+    'punch.notIn': 'You have not checked in yet.',
+    'punch.alreadyOnBreak': 'You are already on a break.',
+    'punch.notOnBreak': 'You have not pressed "Start break".',
+
+    'state.off': 'Not checked in',
+    'state.working': 'Checked in',
+    'state.on-break': 'On break',
+    'state.checkedOut': 'Checked out',
+
+    'kiosk.modeName': 'Shared device (Kiosk)',
+    'kiosk.enterCredentials': 'Enter your employee ID and PIN',
+    'kiosk.employeeId': 'Employee ID',
+    'kiosk.clear': 'Clear',
+    'kiosk.next': 'Next (PIN)',
+    'kiosk.submit': 'Confirm',
+    'kiosk.hello': 'Hello',
+    'kiosk.lookAtCamera': 'Please look at the camera, then press check in or check out.',
+    'kiosk.cancel': 'Not me / Cancel',
+    'kiosk.confirmed': '{type} at {time}',
+    'kiosk.missingCredentials': 'Please enter your employee ID and PIN.',
+    'kiosk.locked': 'Too many wrong PINs. Please wait {seconds} seconds.',
+    'kiosk.invalidPin': 'Incorrect employee ID or PIN.',
+    'kiosk.offlineUnknown': 'This device is offline and you have not used it before. Please try again when online.',
+
+    'camera.start': 'Open camera',
+    'camera.started': 'Camera on',
+    'camera.opened': 'Camera opened',
+    'camera.failed': 'Could not open the camera. Please check the permission.',
+    'camera.idleStopped': 'The camera was turned off because no face was seen for a while. Open it again when you are ready to record.',
+
+    'info.date': 'Date',
+    'info.time': 'Time',
+    'info.status': 'Status',
+    'info.verification': 'Verification',
+    'info.notPunched': 'Not recorded yet',
+    'info.notVerified': 'Not verified yet',
+
+    'model.detector': 'Detector',
+    'model.ssd': 'SSD MobileNet (accurate)',
+    'model.tiny': 'Tiny Face Detector (fast, for low-end phones)',
+    'model.local': 'local',
+    'model.loading': 'Loading face detection...',
+    'model.loadingModel': 'Loading {model} {percent}%',
+    'model.ready': 'Face detection ready',
+    'model.loaded': 'Face detection loaded',
+    'model.offlineStatus': 'No internet - using simulation mode',
+    'model.offlineAlert': 'No internet connection and no models on this device. Simulation mode will be used.',
+    'model.failedStatus': 'Face detection failed - using simulation mode',
+    'model.failedAlert': 'Could not load face detection. Simulation mode will be used.',
+
+    'face.detectedLive': 'Face detected ({confidence}%) - liveness confirmed',
+    'face.detectedChallenge': 'Face detected ({confidence}%) - {instruction}',
+    'face.notFound': 'No face found',
+    'face.simDetected': 'Face detected (simulation)',
+    'face.simNotFound': 'No face found (simulation)',
+
+    'liveness.blink': 'Please blink slowly',
+    'liveness.turn-left': 'Please turn your head to the left',
+    'liveness.turn-right': 'Please turn your head to the right',
+    'liveness.open-mouth': 'Please open your mouth',
+    'liveness.look': 'Please look at the camera',
+    'liveness.failed': 'Liveness check failed ({instruction}). Please try again.',
+    'quality.too-far': 'Move closer',
+    'quality.too-close': 'Move back a little',
+    'quality.off-center': 'Center your face in the frame',
+    'quality.turned': 'Look straight at the camera',
+    'quality.tilted': 'Keep your head level',
+    'quality.too-dark': 'Too dark',
+    'quality.too-bright': 'Too bright',
+    'quality.backlit': 'Backlit - please face the light',
+    'quality.low-contrast': 'Not enough light',
+    'quality.blurry': 'Blurry - please hold still',
+    'quality.rejected': 'The photo did not pass the quality check: {issues}',
+
+    'enroll.button': 'Enroll face',
+    'enroll.noEmployee': 'Employee ID not found. Please log in first.',
+    'enroll.needModels': 'Face detection must load before you can enroll your face.',
+    'enroll.already': 'Your face is already enrolled. Please contact an administrator to change it.',
+    'enroll.inProgress': 'Enrolling your face. Look at the camera and move your head slightly...',
+    'enroll.notEnough': 'Not enough face samples detected',
+    'enroll.success': 'Face enrolled',
+    'enroll.failed': 'Face enrollment failed. Please try again somewhere with enough light.',
+
+    'identity.needPin': 'Please enter your employee ID and PIN before recording.',
+    'identity.needLiveness': 'Please follow the on-screen instruction to confirm liveness first.',
+    'identity.needEnroll': 'Please enroll your face before recording.',
+    'identity.matchError': 'Could not verify your face. Please try again.',
+    'identity.mismatch': 'Face does not match the enrolled face ({score}%). The record was not saved.',
+    'identity.lineMismatch': 'The LINE account open on this device is not the one linked at login. Please log out and log in again before recording.',
+    'line.confirmTitle': '{type} recorded',
+    'line.confirmTime': 'Time: {time}',
+    'line.confirmSite': 'Site: {site}',
+    'line.confirmAlt': '{type} recorded at {time}',
+    'simulation.forbiddenStatus': 'Face detection unavailable - simulation mode is not allowed',
+    'simulation.forbidden': 'Cannot record: face detection is not ready and simulation mode is not allowed. Please connect to the internet and reload the page.',
+    'simulation.pinLabel': 'Face detection is unavailable. Enter your PIN to confirm your identity before recording.',
+    'simulation.needPin': 'Simulation mode: please enter your PIN before recording.',
+    'simulation.policy.flag': 'no face check',
+    'simulation.policy.pin': 'PIN instead of face',
+    'simulation.policy.developer': 'developer mode',
+
+    'location.heading': 'Location',
+    'location.locating': 'Finding your location...',
+    'location.coords': 'Latitude: {latitude}, Longitude: {longitude}',
+    'location.accuracy': 'Accuracy: {meters} m',
+    'location.failed': 'Could not find your location',
+    'location.enable': 'Please enable location access',
+    'location.inaccurate': 'Location is not accurate enough (±{meters} m). Please try again in an open area.',
+    'location.outside': 'You are outside the work area ({distance} m from {site}). The record was not saved.',
+    'geofence.inZone': 'in area',
+    'geofence.outZone': '{distance} m outside',
+    'geofence.inaccurate': ', inaccurate location',
+
+    'summary.heading': 'Today',
+    'summary.checkIn': 'Check in:',
+    'summary.checkOut': 'Check out:',
+    'summary.checkInSite': 'Check-in site:',
+    'summary.checkOutSite': 'Check-out site:',
+    'summary.shift': 'Shift:',
+    'summary.status': 'Today\'s status:',
+    'summary.break': 'Break:',
+    'summary.worked': 'Net hours worked:',
+    'summary.late': 'Late:',
+    'summary.earlyLeave': 'Left early:',
+    'summary.overtime': 'OT:',
+    'summary.edited': ' (edited)',
+
+    'duration.minutes': '{minutes} min',
+    'duration.hoursMinutes': '{hours} h {minutes} min',
+    'duration.seconds': '{seconds} s',
+    'duration.minutesSeconds': '{minutes} min {seconds} s',
+
+    'day.complete': 'Complete',
+    'day.working': 'Working',
+    'day.incomplete': 'No check-out',
+    'day.absent': 'Absent',
+    'day.not-started': 'Not checked in',
+    'day.day-off': 'Day off',
+    'day.leave': 'Leave',
+
+    'history.heading': 'Attendance history',
+    'history.verifyAgain': 'Verify again',
+    'history.all': 'All',
+    'history.list': 'List',
+    'history.calendar': 'Calendar',
+    'history.empty': 'No attendance records yet',
+    'history.loadMore': 'Load more',
+    'history.date': 'Date:',
+    'history.time': 'Time:',
+    'history.location': 'Location:',
+    'history.accuracy': 'Accuracy:',
+    'history.meters': '{meters} m',
+    'history.site': 'Site:',
+    'history.deviceTime': 'Device time:',
+    'history.detection': 'Detection:',
+    'history.faceMatch': 'Face match:',
+    'history.liveness': 'Liveness:',
+    'history.quality': 'Photo quality:',
+    'history.late': 'Late:',
+    'history.onTime': 'On time',
+    'history.worked': 'Net hours worked:',
+    'history.break': 'Break:',
+    'history.earlyLeave': 'Left early:',
+    'history.overtime': 'OT:',
+    'history.pass': 'Passed',
+    'history.fail': 'Failed',
+    'history.faceMatched': '{score}% (passed)',
+    'history.faceMismatch': '{score}% (no match{flag})',
+    'history.pendingReview': ' - pending review',
+    'history.livenessResult': '{result} ({challenge}, {seconds} s)',
+    'history.photoPurged': {
+      one: 'Deleted {count} face photo older than {days} days, freed {size}',
+      other: 'Deleted {count} face photos older than {days} days, freed {size}'
+    },
+
+    'clock.notSynced': 'Not yet compared with server time',
+    'clock.changed': 'Device clock changed since the last server sync',
+    'clock.inSync': 'Matches server time',
+    'clock.fast': '{amount} ahead of real time',
+    'clock.slow': '{amount} behind real time',
+
+    'calendar.prev': 'Previous month',
+    'calendar.next': 'Next month',
+    'calendar.legendNone': 'No records',
+    'calendar.leaveApproved': '{leave} (approved)',
+    'calendar.manualPunch': '✎ {type} {time} (edited by an approved request)',
+    'calendar.empty': 'No records on this day',
+
+    'integrity.checking': 'Verifying data integrity...',
+    'integrity.failed': 'Could not verify data integrity',
+    'integrity.unsigned': {one: ' ({count} older record without a signature)', other: ' ({count} older records without a signature)'},
+    'integrity.ok': {one: '🔒 Data intact, {count} record checked{unsigned}', other: '🔒 Data intact, {count} records checked{unsigned}'},
+    'integrity.tampered': {one: '⚠️ Found {count} problem{unsigned}', other: '⚠️ Found {count} problems{unsigned}'},
+    'integrity.issueRecord': 'record #{id} ',
+    'integrity.issue': '{record}sequence {seq}: {kind}',
+    'integrity.badge': 'Tampered',
+    'integrity.edited': 'data was edited',
+    'integrity.signature': 'invalid signature',
+    'integrity.photo': 'face photo was replaced',
+    'integrity.gap': 'an earlier record was deleted',
+    'integrity.reordered': 'records were reordered',
+    'integrity.broken': 'chain is broken',
+    'integrity.truncated': 'the latest records were deleted',
+    'integrity.key': 'signing device key not found',
+
+    'export.title': 'Export timesheet',
+    'export.from': 'From',
+    'export.to': 'To',
+    'export.type': 'Type',
+    'export.includePhotos': 'Include face photos',
+    'export.print': 'Print / PDF',
+    'export.invalidRange': 'Please choose a valid date range.',
+    'export.failed': 'Timesheet export failed: {error}',
+    'export.popupBlocked': 'The browser blocked the new window',
+    'export.noData': 'No data',
+    'export.photoLink': 'Open photo',
+    'export.photoLocalOnly': '(photo is only on this device, see the printable version / PDF)',
+    'export.yes': 'Yes',
+    'export.no': 'No',
+    'export.total': 'Total',
+    'export.sheetPunches': 'Punches',
+    'export.sheetDays': 'Days',
+    'export.printRange': 'Employee ID: {employeeId} &nbsp; Period: {from} to {to}',
+    'export.printTotals': 'Totals',
+    'export.signEmployee': 'Employee signature ....................................',
+    'export.signSupervisor': 'Supervisor signature ....................................',
+    'export.column.date': 'Date',
+    'export.column.time': 'Time',
+    'export.column.type': 'Type',
+    'export.column.employeeId': 'Employee ID',
+    'export.column.latitude': 'Latitude',
+    'export.column.longitude': 'Longitude',
+    'export.column.accuracy': 'Accuracy (m)',
+    'export.column.site': 'Site',
+    'export.column.inZone': 'In area',
+    'export.column.detection': 'Detection',
+    'export.column.faceMatch': 'Face match (%)',
+    'export.column.liveness': 'Liveness',
+    'export.column.quality': 'Photo quality',
+    'export.column.deviceTime': 'Device time',
+    'export.column.skew': 'Clock skew (s)',
+    'export.column.timezone': 'Time zone',
+    'export.column.photo': 'Face photo',
+    'export.column.status': 'Status',
+    'export.column.checkIn': 'Check in',
+    'export.column.checkOut': 'Check out',
+    'export.column.leave': 'Leave',
+    'export.column.break': 'Break (min)',
+    'export.column.worked': 'Worked (min)',
+    'export.column.late': 'Late (min)',
+    'export.column.earlyLeave': 'Left early (min)',
+    'export.column.overtime': 'OT (min)',
+    'export.column.completeDays': 'Complete days',
+    'export.column.incompleteDays': 'No check-out',
+    'export.column.absentDays': 'Absent',
+
+    'backup.title': 'Backup / restore',
+    'backup.passphrase': 'Passphrase',
+    'backup.passphraseConfirm': 'Confirm passphrase (backup only)',
+    'backup.file': 'Backup file (restore only)',
+    'backup.create': 'Back up',
+    'backup.restore': 'Restore from file',
+    'backup.never': 'This device has never been backed up. All data lives only in this browser.',
+    'backup.last': 'Last backup {date}',
+    'backup.reminder': 'No backup in over {days} days. Changing phones or clearing site data will lose everything (History tab > Backup / restore).',
+    'backup.passphraseTooShort': 'The passphrase must be at least {length} characters long.',
+    'backup.passphraseMismatch': 'The two passphrases do not match.',
+    'backup.needPassphrase': 'Please enter the passphrase used for the backup.',
+    'backup.chooseFile': 'Please choose a backup file.',
+    'backup.created': {one: 'Backed up {count} record. Keep the file and passphrase somewhere safe (a forgotten passphrase cannot be recovered).', other: 'Backed up {count} records. Keep the file and passphrase somewhere safe (a forgotten passphrase cannot be recovered).'},
+    'backup.failed': 'Backup failed: {error}',
+    'backup.restored': 'Restored: {added} added, {duplicates} duplicates, {conflicts} conflicts',
+    'backup.restoreFailed': 'Restore failed: {error}',
+    'backup.invalidFile': 'This is not a backup file from this app, or the file is damaged.',
+    'backup.newerVersion': 'This backup was made by a newer version of the app. Please update before restoring.',
+    'backup.unsupportedSchema': 'Backups from database version {version} are not supported.',
+    'backup.wrongPassphrase': 'Wrong passphrase, or the file has been modified.',
+    'backup.conflictsHeading': {one: '{count} conflict (the file differs from this device; the local copy was kept):', other: '{count} conflicts (the file differs from this device; the local copy was kept):'},
+    'backup.conflictRecord': '{type} punch {time}',
+    'backup.conflictFace': 'Enrolled face of {employeeId}',
+    'backup.conflictRequest': '{kind} request {time}',
+
+    'leave.sick': 'Sick leave',
+    'leave.personal': 'Personal leave',
+    'leave.annual': 'Annual leave',
+
+    'request.heading': 'Time correction / leave requests',
+    'request.kind': 'Request type',
+    'request.kindCorrection': 'Time correction (missed punch)',
+    'request.kindLeave': 'Leave',
+    'request.date': 'Date',
+    'request.item': 'Punch',
+    'request.time': 'Time',
+    'request.leaveType': 'Leave type',
+    'request.from': 'From',
+    'request.to': 'To',
+    'request.reason': 'Reason',
+    'request.submit': 'Submit request',
+    'request.empty': 'No requests yet',
+    'request.reasonLabel': 'Reason:',
+    'request.submittedAt': 'Submitted:',
+    'request.reviewNote': 'Reviewer note:',
+    'request.correctionTitle': 'Correct {type} on {date} at {time}',
+    'request.invalidCorrection': 'Please enter a valid date and time to correct.',
+    'request.invalidLeave': 'Please choose a valid leave period.',
+    'request.needReason': 'Please enter a reason.',
+    'request.saveFailed': 'Could not save the request',
+    'request.sent': 'Request sent, waiting for approval',
+    'request.pending': 'Pending approval',
+    'request.approved': 'Approved',
+    'request.rejected': 'Rejected',
+
+    'login.title': 'KYN Time Hub – Login',
+    'login.subtitle': 'Log in with your username and password and link LINE on this device',
+    'login.mobileOnly': 'Available on mobile only',
+    'login.mobileOnlyHint': 'Please scan the QR code or open this link in LINE on your smartphone.',
+    'login.checkingLine': 'Checking LINE (to link this device)...',
+    'login.usernamePlaceholder': 'e.g. e001',
+    'login.submit': 'Log in',
+    'login.reopenLine': 'Open in LINE again',
+    'login.lineNote': 'Note: this page must be opened through LINE (LIFF) to link your account to this device.',
+    'login.liffStarting': 'Starting LIFF...',
+    'login.lineNotLoggedIn': 'Not logged in to LINE – press "Open in LINE again"',
+    'login.lineReady': 'LINE verified (ready to link device)',
+    'login.liffFailed': 'Could not start LIFF: {error}',
+    'login.missingFields': 'Please enter your username and password.',
+    'login.needLine': 'Please open this page through LINE (LIFF) to link your device.',
+    'login.success': 'Logged in. Taking you to the main page...',
+    'login.liffNotConfigured': 'LIFF_ID is not configured',
+    'login.liffNotReady': 'LIFF is not ready: {error}',
+    'password.title': 'Change your password',
+    'password.rules': 'Use at least 8 characters with upper and lower case letters and numbers.',
+    'password.current': 'Current password',
+    'password.new': 'New password',
+    'password.newPlaceholder': 'At least 8 characters',
+    'password.confirm': 'Confirm new password',
+    'password.confirmPlaceholder': 'Type it again',
+    'password.save': 'Save new password',
+    'password.cancel': 'Cancel',
+    'password.missingFields': 'Please fill in every field.',
+    'password.mismatch': 'The new passwords do not match.',
+    'password.weak': 'The new password is not strong enough.',
+    'password.changed': 'Password changed. Taking you to the main page...',
+
+    'dashboard.title': 'Supervisor dashboard',
+    'dashboard.back': 'Back to attendance',
+    'dashboard.accessDenied': 'This account cannot access the supervisor dashboard.',
+    'dashboard.mockBanner': 'Mock data mode (not connected to the backend)',
+    'dashboard.mockSupervisor': 'Supervisor (mock)',
+    'dashboard.date': 'Date',
+    'dashboard.status': 'Status',
+    'dashboard.search': 'Find employee',
+    'dashboard.searchPlaceholder': 'ID or name',
+    'dashboard.refresh': 'Refresh',
+    'dashboard.summary': 'Today',
+    'dashboard.employees': 'Employees',
+    'dashboard.selectEmployee': 'Select an employee to see their punches',
+    'dashboard.loading': 'Loading...',
+    'dashboard.noEmployees': 'No employees found',
+    'dashboard.noPunches': 'No records on this day',
+    'dashboard.lateBy': ' • {minutes} min late',
+    'dashboard.teamFailed': 'Could not load team data: {error}',
+    'dashboard.punchesFailed': 'Could not load punches: {error}',
+    'dashboard.punchTime': '{type} {time}',
+    'dashboard.status.all': 'All',
+    'dashboard.status.in': 'Working',
+    'dashboard.status.late': 'Late',
+    'dashboard.status.out': 'Checked out',
+    'dashboard.status.absent': 'Absent',
+    'dashboard.status.leave': 'On leave',
+    'dashboard.status.not-started': 'Not checked in',
+    'dashboard.status.day-off': 'Day off',
+    'dashboard.count.in': 'Working:',
+    'dashboard.count.late': 'Late:',
+    'dashboard.count.out': 'Checked out:',
+    'dashboard.count.absent': 'Absent:',
+    'dashboard.count.leave': 'On leave:',
+    'dashboard.count.not-started': 'Not checked in:'
+  }
+};
+
+let i18nLocale = null;
+const i18nListeners = [];
+
+class I18n {
+  // ภาษาที่รองรับ: ชื่อในตัวเลือก, locale ของ Intl และปฏิทินที่ใช้แสดงปี (buddhist = พ.ศ., gregory = ค.ศ.)
+  static get LOCALES() {
+    return {
+      th: {label: 'ไทย', intl: 'th-TH', calendar: 'buddhist'},
+      en: {label: 'English', intl: 'en-GB', calendar: 'gregory'}
+    };
+  }
+
+  static get DEFAULT_LOCALE() {
+    return 'th';
+  }
+
+  // จำภาษาแยกตามพนักงาน (locale:<employeeId>) และภาษาล่าสุดของเครื่อง (locale) ไว้ใช้ก่อนเข้าสู่ระบบ
+  static storageKey(employeeId) {
+    return employeeId ? `locale:${employeeId}` : 'locale';
+  }
+
+  static resolve(employeeId = localStorage.getItem('employeeId')) {
+    const candidates = [
+      employeeId && localStorage.getItem(I18n.storageKey(employeeId)),
+      localStorage.getItem(I18n.storageKey(null)),
+      (navigator.language || '').slice(0, 2)
+    ];
+    return candidates.find(locale => locale && I18n.LOCALES[locale]) || I18n.DEFAULT_LOCALE;
+  }
+
+  static get locale() {
+    if (!i18nLocale) i18nLocale = I18n.resolve();
+    return i18nLocale;
+  }
+
+  static setLocale(locale, employeeId = localStorage.getItem('employeeId')) {
+    if (!I18n.LOCALES[locale]) return;
+    localStorage.setItem(I18n.storageKey(null), locale);
+    if (employeeId) localStorage.setItem(I18n.storageKey(employeeId), locale);
+    if (locale === I18n.locale) return;
+    i18nLocale = locale;
+    I18n.apply();
+    i18nListeners.forEach(listener => listener(locale));
+  }
+
+  // หลังเข้าสู่ระบบ: ใช้ภาษาที่พนักงานคนนี้เคยเลือกไว้ ถ้ายังไม่เคยเลือกให้จำภาษาปัจจุบันไว้ให้
+  static rememberFor(employeeId) {
+    const saved = localStorage.getItem(I18n.storageKey(employeeId));
+    I18n.setLocale(I18n.LOCALES[saved] ? saved : I18n.locale, employeeId);
+  }
+
+  static onChange(listener) {
+    i18nListeners.push(listener);
+  }
+
+  // ไม่มีคำแปลในภาษาที่เลือกใช้ภาษาไทย ไม่มีทั้งคู่คืน key
+  static t(key, params = {}) {
+    let message = I18N_MESSAGES[I18n.locale][key];
+    if (message === undefined) message = I18N_MESSAGES[I18n.DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      const rule = new Intl.PluralRules(I18n.LOCALES[I18n.locale].intl).select(params.count);
+      message = message[rule] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+  }
+
+  // locale ของ Intl พร้อมปฏิทินของภาษา เช่น th-TH-u-ca-buddhist
+  static get intlLocale() {
+    const {intl, calendar} = I18n.LOCALES[I18n.locale];
+    return `${intl}-u-ca-${calendar}`;
+  }
+
+  static formatDate(date, options = {year: 'numeric', month: 'long', day: 'numeric'}) {
+    return new Date(date).toLocaleDateString(I18n.intlLocale, options);
+  }
+
+  static formatTime(date, options = {hour: '2-digit', minute: '2-digit'}) {
+    return new Date(date).toLocaleTimeString(I18n.intlLocale, options);
+  }
+
+  static formatDateTime(date) {
+    return new Date(date).toLocaleString(I18n.intlLocale);
+  }
+
+  static apply(root = document) {
+    document.documentElement.lang = I18n.locale;
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = I18n.t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = I18n.t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', I18n.t(el.dataset.i18nAriaLabel)));
+  }
+
+  static bindSwitcher(select) {
+    if (!select) return;
+    Object.entries(I18n.LOCALES).forEach(([value, {label}]) => select.add(new Option(label, value)));
+    select.value = I18n.locale;
+    select.addEventListener('change', () => I18n.setLocale(select.value));
+    I18n.onChange(locale => { select.value = locale; });
+  }
+}
+
+// ตัวย่อสำหรับสคริปต์ของแต่ละหน้า
+function t(key, params) {
+  return I18n.t(key, params);
+}
+
+// HTML เขียนเป็นภาษาไทยไว้ แปลตามภาษาที่เลือกทันทีที่โหลดหน้า (สคริปต์นี้โหลดท้าย body)
+I18n.apply();
+I18n.bindSwitcher(document.getElementById('languageSelect'));
@@ -1,20 +1,649 @@
 // main.js
 // JavaScript for Attendance System
 
+/******** CONFIG (แก้ให้ตรงระบบคุณ) ********/
+const APP_CONFIG = {
+  // Face recognition: ระยะห่าง (euclidean distance) สูงสุดที่ถือว่าเป็นคนเดียวกัน ยิ่งน้อยยิ่งเข้ม
+  faceMatchThreshold: 0.5,
+  // 'block' = ไม่ให้ลงเวลาเมื่อใบหน้าไม่ตรง, 'flag' = บันทึกได้แต่ทำเครื่องหมายให้ตรวจสอบ
+  faceMatchPolicy: 'block',
+  // โหมดจำลอง (ใช้เมื่อโหลด model ไม่ได้ ไม่มีการตรวจใบหน้าจริง): 'forbid' = ไม่ให้ลงเวลา,
+  // 'flag' = บันทึกได้แต่ทำเครื่องหมายให้ตรวจสอบ, 'pin' = ต้องกรอก PIN (เดียวกับโหมด kiosk) ก่อนบันทึก และทำเครื่องหมายไว้เช่นกัน
+  simulationPolicy: 'forbid',
+  // สำหรับนักพัฒนาเท่านั้น: ใช้โหมดจำลองได้เสมอโดยไม่สนใจ simulationPolicy เพื่อทดสอบโดยไม่มี model (รายการถูกทำเครื่องหมายไว้)
+  // ตั้งในโค้ดเท่านั้น ไม่เปิดผ่าน URL เพื่อไม่ให้ผู้ใช้เปิดเองได้
+  simulationDevMode: false,
+  // เกณฑ์คุณภาพภาพใบหน้าก่อนลงเวลา วัดจากเฟรมปัจจุบัน (บริเวณใบหน้าย่อเป็น 128px)
+  //   sharpness = Laplacian variance, brightness/contrast = ค่าเฉลี่ย/ส่วนเบี่ยงเบนมาตรฐานของความสว่างใบหน้า (0-255)
+  //   backlight = ความสว่างทั้งเฟรมลบความสว่างใบหน้า, faceSize = ความกว้างใบหน้าต่อความกว้างเฟรม
+  //   centerOffset = ระยะศูนย์กลางใบหน้าจากกลางเฟรม (1 = ขอบเฟรม), yaw = |ตำแหน่งจมูกระหว่างขอบกราม - 0.5|
+  //   roll = องศาที่แนวตาเอียง, pitch = ตำแหน่งจมูกระหว่างแนวตากับคาง
+  captureQuality: {
+    minSharpness: 60,
+    minBrightness: 70,
+    maxBrightness: 200,
+    minContrast: 25,
+    maxBacklight: 60,
+    minFaceSize: 0.2,
+    maxFaceSize: 0.7,
+    maxCenterOffset: 0.35,
+    maxYaw: 0.12,
+    maxRoll: 12,
+    minPitch: 0.2,
+    maxPitch: 0.55
+  },
+  // 'block' = ไม่ให้ลงเวลาเมื่อภาพไม่ผ่านเกณฑ์, 'flag' = บันทึกได้แต่ทำเครื่องหมายให้ตรวจสอบ
+  captureQualityPolicy: 'block',
+  // จำนวนภาพตัวอย่างที่เก็บตอนลงทะเบียนใบหน้า
+  enrollSamples: 5,
+  // Liveness: ท่าทางที่สุ่มให้ทำก่อนลงเวลา และเวลาสูงสุดที่ให้ทำ (ms)
+  livenessChallenges: ['blink', 'turn-left', 'turn-right', 'open-mouth'],
+  livenessTimeoutMs: 8000,
+  // เก็บลำดับ landmarks ไว้ใน attendanceSystem.landmarkRecording เพื่อนำไปทดสอบซ้ำด้วย LivenessChallenge.replay()
+  livenessRecordLandmarks: false,
+  // Geofence: สถานที่ทำงาน กำหนดเป็นวงกลม (center + radius เมตร) หรือ polygon ([[lat, lng], ...])
+  // ถ้าไม่กำหนดจะไม่ตรวจสอบพื้นที่ เช่น
+  //   {name: 'สำนักงานใหญ่', center: {latitude: 13.7563, longitude: 100.5018}, radius: 150}
+  //   {name: 'โกดัง', polygon: [[13.70, 100.60], [13.70, 100.61], [13.71, 100.61], [13.71, 100.60]]}
+  workSites: [],
+  // 'block' = ไม่ให้ลงเวลานอกพื้นที่, 'flag' = บันทึกได้แต่ทำเครื่องหมายให้ตรวจสอบ
+  geofencePolicy: 'flag',
+  // ความแม่นยำของตำแหน่งที่ยอมรับได้ (เมตร) และนโยบายเมื่อแย่กว่านี้
+  maxLocationAccuracy: 100,
+  accuracyPolicy: 'flag',
+  // สถานะการลงเวลาคิดจากกะล่าสุดที่ยังเปิดอยู่ (ไม่ใช่วันที่ตามปฏิทิน) กะที่เปิดค้างเกิน maxSessionHours
+  // ถือว่าลืมออกงาน ลงเวลาประเภทเดิมซ้ำภายใน punchDebounceSeconds จะถูกปฏิเสธ
+  maxSessionHours: 20,
+  punchDebounceSeconds: 60,
+  // ลงเวลาผิดลำดับ (เช่น ออกงานโดยยังไม่เข้างาน): 'block' = ไม่ให้ลงเวลา, 'warn' = เตือนและให้ยืนยันก่อนบันทึก
+  invalidTransitionPolicy: 'block',
+  // LINE LIFF (ต้องตรงกับ LIFF_ID ใน login.html): ตรวจว่าบัญชี LINE ที่เปิดอยู่ตรงกับบัญชีที่ผูกไว้ตอนล็อกอิน
+  // liffConfirmMessage = ส่งข้อความยืนยันเข้าแชท LINE หลังลงเวลา (ต้องเปิดในแอป LINE และ LIFF app มี scope chat_message.write)
+  liffId: '2007896777-Gq1RQ1oE',
+  liffConfirmMessage: true,
+  // LIFF SDK โหลดตอนเริ่มตรวจบัญชี LINE ไม่ขวางการแสดงหน้า (ต้องตรงกับ OPTIONAL_CDN_SCRIPTS ใน sw.js)
+  liffSdkUrl: 'https://static.line-scdn.net/liff/edge/2/sdk.js',
+  // Apps Script Web App URL (ต้องตรงกับ API_URL ใน login.html)
+  apiUrl: 'https://script.google.com/macros/s/AKfycbxCy7ExGaKLpPShFB_BcuZqqpbO0rpuUcAjKnHu0-LsFG-lahdtCmziKTmQMvf0TEN1Cg/exec',
+  // Sync: ตรวจรายการที่ค้างส่งทุกกี่ ms และ exponential backoff เมื่อส่งไม่สำเร็จ
+  syncIntervalMs: 30000,
+  syncBackoffBaseMs: 5000,
+  syncBackoffMaxMs: 30 * 60 * 1000,
+  // เวลาที่เชื่อถือได้: เทียบเวลากับ backend (action:'time') ทุก timeSyncIntervalMs
+  // ลงเวลาที่เวลาเครื่องคลาดจากเวลาจริงเกิน maxClockSkewMs จะถูก flag ไว้ตรวจสอบ
+  timeSyncIntervalMs: 15 * 60 * 1000,
+  maxClockSkewMs: 2 * 60 * 1000,
+  // ผลต่างระหว่างนาฬิกาเครื่องกับ performance.now() ที่ถือว่ามีการตั้งนาฬิกาใหม่
+  clockJumpToleranceMs: 5000,
+  // อายุ session สำหรับ session เก่าที่ไม่มี sessionExpiresAt (ต้องตรงกับ SESSION_TTL_HOURS ใน login.html)
+  sessionTtlHours: 12,
+  // Kiosk (เครื่องส่วนกลาง): เวลาแสดงหน้ายืนยัน, เวลารอก่อนรีเซ็ตเมื่อไม่มีการใช้งาน (วินาที)
+  // และจำนวนครั้งที่ใส่ PIN ผิดก่อนล็อก kioskLockSeconds วินาที
+  kioskConfirmSeconds: 5,
+  kioskIdleSeconds: 30,
+  kioskMaxPinAttempts: 5,
+  kioskLockSeconds: 60,
+  // จำนวนรายการต่อหน้าในแท็บประวัติ
+  historyPageSize: 20,
+  // ประเภทการลาที่ยื่นคำขอได้ (ชื่อที่แสดงอยู่ใน i18n.js: leave.<ประเภท>)
+  leaveTypes: ['sick', 'personal', 'annual'],
+  // กะการทำงานแยกตามกลุ่ม: เวลาเริ่ม/เลิก (HH:MM), นาทีผ่อนผันมาสาย, นาทีพัก และวันทำงาน (0 = อาทิตย์ ... 6 = เสาร์)
+  // ระบุ maxSessionHours ในกลุ่มเพื่อใช้แทนค่ารวมด้านบนได้
+  shiftGroups: {
+    default: {start: '08:30', end: '17:30', graceMinutes: 10, breakMinutes: 60, workingDays: [1, 2, 3, 4, 5]}
+  },
+  // employeeId -> ชื่อกลุ่มใน shiftGroups (ไม่ระบุ = default) เช่น {'e001': 'factory'}
+  employeeShiftGroups: {},
+  // ภาพใบหน้า: ครอปรอบใบหน้า (margin เป็นสัดส่วนของขนาดกรอบ) แล้วย่อไม่เกิน photoMaxSize px
+  photoCropMargin: 0.4,
+  photoMaxSize: 480,
+  photoQuality: 0.8,
+  thumbnailSize: 96,
+  // ลบภาพใบหน้าที่ส่งขึ้น backend แล้วและเก่ากว่ากี่วัน (ข้อมูลลงเวลายังอยู่) 0 = เก็บตลอด
+  photoRetentionDays: 90,
+  // แหล่ง model weights ตามลำดับที่ลอง (./models = โฮสต์เองบนเว็บเดียวกัน)
+  // CDN ใช้ tag เดียวกับ face-api.js ที่โหลดใน index.html ไม่ใช่ master ที่เปลี่ยนได้
+  // แหล่งสุดท้ายคือ weights ชุดเดียวกันที่เผยแพร่ใน npm package (เวอร์ชันบน npm แก้ไขไม่ได้) ซึ่งใช้สร้าง modelHashes
+  modelSources: [
+    './models',
+    'https://raw.githubusercontent.com/justadudewhohacks/face-api.js/0.22.2/weights',
+    'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@0.22.2/weights',
+    'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@0.4.1/model'
+  ],
+  // ชื่อ Cache API ที่เก็บ weights (เปลี่ยนชื่อเมื่อต้องการบังคับโหลดใหม่)
+  modelCacheName: 'face-models-v2',
+  // SHA-256 (base64) ของ manifest และ shard ทุกไฟล์ สร้างด้วย `npm run model-hashes` (ดู models/README.md)
+  // ไฟล์ที่ไม่มีค่าในนี้ถือว่าตรวจไม่ผ่าน (ไม่โหลด) ต้องอัปเดตเมื่อเปลี่ยนเวอร์ชันของ weights
+  modelHashes: {
+    'ssd_mobilenetv1_model-weights_manifest.json': 'm4SRjR2LLpiNxdcsDXfnzAo9Qz8kUlFvzYjcqAUbVS8=',
+    'ssd_mobilenetv1_model-shard1': 'b/FvCVsDcfJKzLSKq4LllWl7qoIc+FEWfL+SA9HX7Jo=',
+    'ssd_mobilenetv1_model-shard2': 'JTmEfmJ8jEpWHpmRcHNebFJ97sxv26KVn8UxL7HqHeM=',
+    'tiny_face_detector_model-weights_manifest.json': 'FMYGWaMba3sTIAdxcbj4rcsk7w5i3eYs5gO8tJobSbU=',
+    'tiny_face_detector_model-shard1': 't1A8598xA5scQzFqm4Zcq2pw3XSMxgLT+ii1UVA8OHE=',
+    'face_landmark_68_model-weights_manifest.json': '0w9sw0EAnqT4Ijh2lZKJuWV2/FSiYV+S2pdBq5xfC7w=',
+    'face_landmark_68_model-shard1': 'RhHvZch9g20D1oSzDuxNGV2LIZ+h3Vj8WJRYMca5KZs=',
+    'face_recognition_model-weights_manifest.json': 'Zhn0Em+EXB94V/OcvXlWXzdXNPRuDdJdlgL43CHNqfU=',
+    'face_recognition_model-shard1': 'QSVmorjYFNhMYLgFXsXTs7IyjvfNeFM4TgPsPbewU9g=',
+    'face_recognition_model-shard2': 'aTUP3s2EXFMuRN2PfQUhx3NQXvRrh8w09GZAoMwzTsw='
+  },
+  // ตัวตรวจจับใบหน้า: 'ssd' (SSD MobileNet แม่นยำกว่า) หรือ 'tiny' (TinyFaceDetector เร็วกว่า สำหรับมือถือรุ่นเล็ก)
+  faceDetector: 'ssd',
+  // ตรวจจับใบหน้าใน Web Worker (face-worker.js) เมื่อเบราว์เซอร์รองรับ false = ตรวจบน main thread เสมอ
+  faceWorker: true,
+  // ความละเอียดกล้อง (ภาพที่บันทึกย่อเหลือ photoMaxSize อยู่แล้ว จึงไม่ต้องใช้ HD)
+  cameraResolution: {width: 640, height: 480},
+  // detection loop ทำทีละเฟรม พักระหว่างเฟรมเป็น detectionLoadFactor เท่าของเวลา inference เฉลี่ย
+  // อยู่ในช่วง detectionMinIntervalMs - detectionMaxIntervalMs (เครื่องช้าจะตรวจถี่น้อยลงเอง)
+  detectionMinIntervalMs: 150,
+  detectionMaxIntervalMs: 1500,
+  detectionLoadFactor: 1.5,
+  // ตรวจจับผิดพลาดติดกันกี่เฟรมจึงถือว่า model ใช้ไม่ได้ (น้อยกว่านี้ข้ามเฟรมนั้นไป) worker ตายจะถือว่าใช้ไม่ได้ทันที
+  detectionMaxFailures: 5,
+  // ปิดกล้องเมื่อไม่พบใบหน้านานกี่วินาที (โหมด kiosk เปิดกล้องค้างไว้ตลอด)
+  cameraIdleSeconds: 60,
+  // เตือนให้สำรองข้อมูลเมื่อไม่ได้สำรองนานเกินกี่วัน 0 = ไม่เตือน
+  backupReminderDays: 14,
+  // ความยาวขั้นต่ำของ passphrase และจำนวนรอบ PBKDF2 ที่ใช้สร้าง key เข้ารหัสไฟล์สำรอง
+  backupMinPassphraseLength: 8,
+  backupKdfIterations: 310000,
+  // SheetJS สำหรับส่งออก XLSX (โหลดเมื่อกดส่งออกเท่านั้น ต้องตรงกับ CDN_SCRIPTS ใน sw.js เพื่อให้ส่งออกได้แม้ไม่มี internet)
+  xlsxLibraryUrl: 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'
+};
+
+// สร้าง id แบบสุ่ม (crypto.randomUUID ใช้ได้เฉพาะ secure context)
+function generateId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// ประเภทการลงเวลา: สีของปุ่มเมื่อบันทึกสำเร็จ (ชื่อที่แสดงอยู่ใน i18n.js: punch.<ประเภท>)
+const PUNCH_TYPES = {
+  'check-in': {color: '#10b981'},
+  'check-out': {color: '#ef4444'},
+  'break-start': {color: '#f59e0b'},
+  'break-end': {color: '#3b82f6'}
+};
+
+function punchLabel(type) {
+  return PUNCH_TYPES[type] ? t(`punch.${type}`) : type;
+}
+
+// filter ของแท็บประวัติ/การส่งออก: 'all', 'breaks' (เริ่มพัก + กลับจากพัก) หรือประเภทตรงตัว
+function matchesPunchFilter(filter, type) {
+  if (filter === 'all') return true;
+  if (filter === 'breaks') return type === 'break-start' || type === 'break-end';
+  return type === filter;
+}
+
+// มีสำเนาใน dashboard.js (แก้ให้ตรงกันทั้งสองที่)
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// โหลด script ภายนอกแบบ on-demand (โหลดครั้งเดียว)
+function loadScript(src) {
+  if (!loadScript.cache) loadScript.cache = {};
+  if (!loadScript.cache[src]) {
+    loadScript.cache[src] = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => {
+        delete loadScript.cache[src];
+        reject(new Error(t('app.loadScriptFailed', {src})));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return loadScript.cache[src];
+}
+
+// Session จาก login.html (เก็บใน localStorage): employeeId, name, role, userId (LINE) และ sessionExpiresAt
+class Session {
+  static get KEYS() {
+    return ['employeeId', 'name', 'role', 'userId', 'sessionExpiresAt'];
+  }
+
+  // คืนค่า session ปัจจุบัน หรือ null ถ้ายังไม่ได้เข้าสู่ระบบหรือหมดอายุแล้ว
+  static current() {
+    const employeeId = localStorage.getItem('employeeId');
+    const userId = localStorage.getItem('userId');
+    if (!employeeId || !userId) return null;
+
+    let expiresAt = localStorage.getItem('sessionExpiresAt');
+    if (!expiresAt) {
+      // session ที่ล็อกอินไว้ก่อนมีวันหมดอายุ เริ่มนับอายุจากตอนนี้
+      expiresAt = new Date(Date.now() + APP_CONFIG.sessionTtlHours * 3600000).toISOString();
+      localStorage.setItem('sessionExpiresAt', expiresAt);
+    }
+    if (new Date(expiresAt) <= new Date()) return null;
+
+    return {
+      employeeId,
+      name: localStorage.getItem('name') || employeeId,
+      role: localStorage.getItem('role') || 'employee',
+      lineUserId: userId,
+      expiresAt
+    };
+  }
+
+  static clear() {
+    Session.KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  static redirectToLogin() {
+    const page = location.pathname.split('/').pop() || 'index.html';
+    location.href = `login.html?redirect=${encodeURIComponent(page)}`;
+  }
+}
+
+// ตรวจสอบรหัสพนักงาน + PIN ของโหมด kiosk กับ backend (action:'kiosk_login')
+// เมื่อสำเร็จจะเก็บ PBKDF2 hash ของ PIN ไว้ในเครื่อง เพื่อให้คนที่เคยลงเวลาที่เครื่องนี้ใช้งานได้แม้ออฟไลน์
+class KioskAuth {
+  constructor() {
+    this.failedAttempts = 0;
+    this.lockedUntil = 0;
+  }
+
+  static loadCredentials() {
+    try {
+      return JSON.parse(localStorage.getItem('kioskCredentials')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  static saveCredentials(credentials) {
+    localStorage.setItem('kioskCredentials', JSON.stringify(credentials));
+  }
+
+  static async hashPin(employeeId, pin) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({
+      name: 'PBKDF2',
+      salt: new TextEncoder().encode(`kyn-kiosk:${employeeId}`),
+      iterations: 100000,
+      hash: 'SHA-256'
+    }, key, 256);
+    return btoa(String.fromCharCode(...new Uint8Array(bits)));
+  }
+
+  // คืนค่า {employeeId, name} หรือ throw Error พร้อมข้อความที่แสดงให้ผู้ใช้ได้
+  async verify(employeeId, pin) {
+    if (Date.now() < this.lockedUntil) {
+      const seconds = Math.ceil((this.lockedUntil - Date.now()) / 1000);
+      throw new Error(t('kiosk.locked', {seconds}));
+    }
+
+    try {
+      const employee = navigator.onLine
+        ? await this.verifyOnline(employeeId, pin)
+        : await this.verifyOffline(employeeId, pin);
+      this.failedAttempts = 0;
+      return employee;
+    } catch (error) {
+      if (error.rejected) {
+        this.failedAttempts++;
+        if (this.failedAttempts >= APP_CONFIG.kioskMaxPinAttempts) {
+          this.failedAttempts = 0;
+          this.lockedUntil = Date.now() + APP_CONFIG.kioskLockSeconds * 1000;
+        }
+      }
+      throw error;
+    }
+  }
+
+  async verifyOnline(employeeId, pin) {
+    let json;
+    try {
+      const res = await fetch(APP_CONFIG.apiUrl, {
+        method: 'POST',
+        headers: {'Content-Type': 'text/plain;charset=utf-8'}, // เลี่ยง preflight เหมือน login.html
+        body: JSON.stringify({action: 'kiosk_login', employeeId, pin})
+      });
+      json = await res.json();
+    } catch (networkError) {
+      // backend ติดต่อไม่ได้ ใช้ข้อมูลในเครื่องแทน
+      return this.verifyOffline(employeeId, pin);
+    }
+
+    const credentials = KioskAuth.loadCredentials();
+    if (!json.ok) {
+      // PIN อาจถูกเปลี่ยนแล้ว ลบข้อมูลเก่าในเครื่องทิ้ง
+      delete credentials[employeeId];
+      KioskAuth.saveCredentials(credentials);
+      const error = new Error(json.error || t('kiosk.invalidPin'));
+      error.rejected = true;
+      throw error;
+    }
+
+    const employee = {employeeId: json.employee.EmployeeID || employeeId, name: json.employee.Name || employeeId};
+    credentials[employeeId] = {name: employee.name, pinHash: await KioskAuth.hashPin(employeeId, pin)};
+    KioskAuth.saveCredentials(credentials);
+    return employee;
+  }
+
+  async verifyOffline(employeeId, pin) {
+    const saved = KioskAuth.loadCredentials()[employeeId];
+    if (!saved) {
+      throw new Error(t('kiosk.offlineUnknown'));
+    }
+    if (await KioskAuth.hashPin(employeeId, pin) !== saved.pinHash) {
+      const error = new Error(t('kiosk.invalidPin'));
+      error.rejected = true;
+      throw error;
+    }
+    return {employeeId, name: saved.name};
+  }
+}
+
+// โหมด kiosk: แท็บเล็ตส่วนกลางที่ทางเข้า กล้องเปิดตลอด พนักงานแต่ละคนยืนยันตัวตนด้วยรหัสพนักงาน + PIN
+// เปิดด้วย index.html?kiosk=1 (ต้องเข้าสู่ระบบอยู่) และปิดด้วย index.html?kiosk=0
+class KioskMode {
+  static get enabled() {
+    return localStorage.getItem('kioskMode') === '1';
+  }
+
+  static applyUrlFlag() {
+    const flag = new URLSearchParams(location.search).get('kiosk');
+    if (flag === '1' && Session.current()) localStorage.setItem('kioskMode', '1');
+    if (flag === '0') localStorage.removeItem('kioskMode');
+  }
+
+  constructor(system) {
+    this.system = system;
+    this.auth = new KioskAuth();
+    this.employee = null;
+    this.idleTimer = null;
+    this.resetTimer = null;
+    // reset ที่ถูกเลื่อนไว้ระหว่างกำลังลงเวลา
+    this.resetPending = false;
+  }
+
+  init(modelsReady) {
+    document.body.classList.add('kiosk');
+    document.getElementById('kioskPanel').style.display = '';
+    document.getElementById('employeeName').textContent = t('kiosk.modeName');
+
+    document.querySelectorAll('.keypad-key').forEach(key => {
+      key.addEventListener('click', () => this.pressKey(key.getAttribute('data-key')));
+    });
+    document.getElementById('kioskEmployeeId').addEventListener('focus', () => { this.activeField = 'kioskEmployeeId'; });
+    document.getElementById('kioskPin').addEventListener('focus', () => { this.activeField = 'kioskPin'; });
+    document.getElementById('kioskNext').addEventListener('click', () => document.getElementById('kioskPin').focus());
+    document.getElementById('kioskSubmit').addEventListener('click', () => this.submit());
+    document.getElementById('kioskCancel').addEventListener('click', () => this.reset());
+    // การแตะหน้าจอใดๆ ถือว่ายังใช้งานอยู่
+    document.addEventListener('pointerdown', () => this.restartIdleTimer());
+
+    this.activeField = 'kioskEmployeeId';
+    this.reset();
+    // เปิดกล้องค้างไว้ตลอด หลังโหลด model เสร็จ (ไม่งั้นจะตกไปโหมดจำลอง)
+    modelsReady.then(() => this.system.startCamera());
+  }
+
+  pressKey(key) {
+    const field = document.getElementById(this.activeField);
+    if (key === 'clear') field.value = '';
+    else if (key === 'back') field.value = field.value.slice(0, -1);
+    else field.value += key;
+  }
+
+  async submit() {
+    const employeeId = document.getElementById('kioskEmployeeId').value.trim();
+    const pin = document.getElementById('kioskPin').value;
+    if (!employeeId || !pin) {
+      this.system.showAlert(t('kiosk.missingCredentials'), 'warning');
+      return;
+    }
+
+    this.system.showLoading(true);
+    try {
+      this.employee = await this.auth.verify(employeeId, pin);
+    } catch (error) {
+      document.getElementById('kioskPin').value = '';
+      this.system.showAlert(error.message, 'error');
+      return;
+    } finally {
+      this.system.showLoading(false);
+    }
+
+    // ลงเวลาในนามของพนักงานที่ยืนยันตัวตนแล้ว
+    this.system.employeeId = this.employee.employeeId;
+    this.system.session = {employeeId: this.employee.employeeId, name: this.employee.name, lineUserId: null};
+    await this.system.loadFaceProfile();
+    this.system.resetLiveness();
+
+    document.getElementById('kioskPin').value = '';
+    document.getElementById('kioskLogin').style.display = 'none';
+    document.getElementById('kioskActive').style.display = '';
+    document.getElementById('kioskEmployeeName').textContent = this.employee.name;
+    this.setPunchVisible(true);
+    this.restartIdleTimer();
+  }
+
+  setPunchVisible(visible) {
+    Object.values(this.system.punchButtons).forEach(btn => { btn.style.display = visible ? '' : 'none'; });
+  }
+
+  restartIdleTimer() {
+    clearTimeout(this.idleTimer);
+    if (!this.employee) return;
+    this.idleTimer = setTimeout(() => this.reset(), APP_CONFIG.kioskIdleSeconds * 1000);
+  }
+
+  confirmPunch(record) {
+    clearTimeout(this.idleTimer);
+    const time = I18n.formatTime(record.timestamp);
+    document.getElementById('kioskActive').style.display = 'none';
+    document.getElementById('kioskConfirm').style.display = '';
+    document.getElementById('kioskConfirmName').textContent = this.employee.name;
+    document.getElementById('kioskConfirmText').textContent =
+      t('kiosk.confirmed', {type: punchLabel(record.type), time});
+    this.setPunchVisible(false);
+    this.resetPending = false;
+    this.resetTimer = setTimeout(() => this.reset(), APP_CONFIG.kioskConfirmSeconds * 1000);
+  }
+
+  // เรียกเมื่อการลงเวลาจบลง (สำเร็จหรือไม่ก็ตาม) เพื่อทำ reset ที่เลื่อนไว้
+  punchSettled() {
+    if (this.resetPending) this.reset();
+  }
+
+  // กลับสู่หน้าจอรอคนถัดไป: ล้างข้อมูลพนักงานและภาพทั้งหมดที่อาจค้างอยู่บนจอ
+  // ระหว่างลงเวลา (กดยกเลิกหรือหมดเวลา idle) จะเลื่อนไปทำหลังบันทึกเสร็จ ไม่ให้ล้าง session ที่รายการกำลังใช้อยู่
+  reset() {
+    if (this.system.isPunching) {
+      this.resetPending = true;
+      return;
+    }
+    this.resetPending = false;
+    clearTimeout(this.idleTimer);
+    clearTimeout(this.resetTimer);
+    this.employee = null;
+    this.system.employeeId = null;
+    this.system.session = null;
+    this.system.faceProfile = null;
+    this.system.resetLiveness();
+
+    document.getElementById('kioskEmployeeId').value = '';
+    document.getElementById('kioskPin').value = '';
+    document.getElementById('kioskLogin').style.display = '';
+    document.getElementById('kioskActive').style.display = 'none';
+    document.getElementById('kioskConfirm').style.display = 'none';
+    this.system.alertContainer.innerHTML = '';
+    this.system.updateCurrentStatus('-');
+
+    const canvas = this.system.snapshotCanvas;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    canvas.width = 0;
+    canvas.height = 0;
+    this.setPunchVisible(false);
+  }
+}
+
+// แปลง Blob เป็น data URL (รายการเก่าเก็บภาพเป็น data URL อยู่แล้วจะคืนค่าเดิม)
+function blobToDataURL(blob) {
+  if (!blob || typeof blob === 'string') return Promise.resolve(blob || '');
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// data URL (base64) กลับเป็น Blob
+function dataURLToBlob(dataURL) {
+  const [header, data] = dataURL.split(',');
+  return new Blob([base64ToBytes(data)], {type: header.slice(5).split(';')[0]});
+}
+
+// base64 ของข้อมูลขนาดใหญ่ แบ่งเป็นช่วงเพราะ String.fromCharCode(...bytes) ทั้งก้อนเกินขนาด call stack
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// ขนาดโดยประมาณ (bytes) ของภาพที่เก็บเป็น Blob หรือ data URL
+function photoSize(photo) {
+  if (!photo) return 0;
+  return typeof photo === 'string' ? photo.length : photo.size;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// วันที่ตามเวลาท้องถิ่นในรูปแบบ YYYY-MM-DD (ใช้เป็น key ของ index 'date') มีสำเนาใน dashboard.js
+function toDateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// SHA-256 ของ ArrayBuffer/Blob/string เป็น base64
+async function sha256(data) {
+  if (data instanceof Blob) data = await data.arrayBuffer();
+  if (typeof data === 'string') data = new TextEncoder().encode(data);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+// JSON ที่เรียง key เสมอ ใช้เป็นรูปแบบมาตรฐาน (canonical) ก่อน hash
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(v => canonicalJSON(v === undefined ? null : v)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
 // IndexedDB helper
 class AttendanceDB {
   constructor() {
     this.dbName = 'attendanceDB';
+    this.version = 6;
     this.storeName = 'attendance';
+    this.faceStoreName = 'faces';
+    this.metaStoreName = 'meta';
+    this.requestStoreName = 'requests';
     this.db = null;
   }
+
+  // Migration ของแต่ละเวอร์ชัน รันต่อกันตั้งแต่ oldVersion + 1 ถึง this.version
+  // เพิ่มเวอร์ชันใหม่ได้โดยเพิ่ม key ถัดไปและขยับ this.version
+  get migrations() {
+    return {
+      1: (db) => {
+        db.createObjectStore(this.storeName, {keyPath: 'id', autoIncrement: true});
+      },
+      // v2: face descriptors ที่ลงทะเบียนไว้ของแต่ละพนักงาน
+      2: (db) => {
+        db.createObjectStore(this.faceStoreName, {keyPath: 'employeeId'});
+      },
+      // v3: index สำหรับ query ตามช่วงเวลา/ประเภท/พนักงาน/วัน/สถานะ sync และเติม field ให้รายการเดิม
+      3: (db, tx) => {
+        const store = tx.objectStore(this.storeName);
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('type', 'type');
+        store.createIndex('employeeId', 'employeeId');
+        store.createIndex('date', 'date');
+        store.createIndex('syncStatus', 'syncStatus');
+        store.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const record = cursor.value;
+          if (!record.date || !record.syncStatus) {
+            cursor.update({
+              ...record,
+              date: record.date || toDateKey(record.timestamp),
+              syncStatus: record.syncStatus || 'pending'
+            });
+          }
+          cursor.continue();
+        };
+      },
+      // v4: compound index สำหรับ query เฉพาะของพนักงานคนหนึ่ง
+      // รายการเก่าที่ไม่มีเจ้าของอาจเป็นของใครก็ได้ที่เคยใช้เครื่องนี้ จึงไม่เดาจากผู้ใช้ที่ล็อกอินอยู่
+      // แต่แยกไว้เป็น legacy (employeeId = null จึงไม่อยู่ใน index ของพนักงาน และ syncStatus 'legacy' จึงไม่ถูกส่ง)
+      // จนกว่าหัวหน้างานจะระบุเจ้าของ ยังอยู่ในไฟล์สำรองข้อมูล
+      4: (db, tx) => {
+        const store = tx.objectStore(this.storeName);
+        store.createIndex('employeeId_timestamp', ['employeeId', 'timestamp']);
+        store.createIndex('employeeId_date', ['employeeId', 'date']);
+        store.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const record = cursor.value;
+          if (!record.employeeId) {
+            // cursor ของ v3 อาจยังไม่ได้เติม field ให้รายการนี้ (อ่านก่อน v3 update) จึงเติมเองด้วย
+            cursor.update({
+              ...record,
+              date: record.date || toDateKey(record.timestamp),
+              employeeId: null,
+              legacy: true,
+              syncStatus: 'legacy'
+            });
+          }
+          cursor.continue();
+        };
+      },
+      // v5: ข้อมูลระดับเครื่อง เช่น device key และหัวของ hash chain
+      5: (db) => {
+        db.createObjectStore(this.metaStoreName, {keyPath: 'key'});
+      },
+      // v6: คำขอแก้ไขเวลา/คำขอลา และสถานะการอนุมัติ
+      6: (db) => {
+        const store = db.createObjectStore(this.requestStoreName, {keyPath: 'id', autoIncrement: true});
+        store.createIndex('employeeId', 'employeeId');
+        store.createIndex('syncStatus', 'syncStatus');
+        store.createIndex('status', 'status');
+      }
+    };
+  }
+
   async open() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
+      const request = indexedDB.open(this.dbName, this.version);
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, {keyPath: 'id', autoIncrement: true});
+        const migrations = this.migrations;
+        for (let v = event.oldVersion + 1; v <= this.version; v++) {
+          migrations[v](db, request.transaction);
         }
       };
       request.onsuccess = (event) => {
@@ -26,11 +655,39 @@ class AttendanceDB {
       };
     });
   }
-  async addRecord(data) {
+  // meta = {key, value} ที่ต้องบันทึกใน transaction เดียวกัน (เช่น หัวของ hash chain)
+  async addRecord(data, meta = null) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName, this.metaStoreName], 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      let id = null;
+      store.add({...data, date: data.date || toDateKey(data.timestamp)}).onsuccess = (e) => { id = e.target.result; };
+      if (meta) tx.objectStore(this.metaStoreName).put(meta);
+      tx.oncomplete = () => resolve(id);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async getMeta(key) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.metaStoreName], 'readonly');
+      const req = tx.objectStore(this.metaStoreName).get(key);
+      req.onsuccess = (e) => resolve(e.target.result ? e.target.result.value : null);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async setMeta(key, value) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.metaStoreName], 'readwrite');
+      const req = tx.objectStore(this.metaStoreName).put({key, value});
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async updateRecord(record) {
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction([this.storeName], 'readwrite');
       const store = tx.objectStore(this.storeName);
-      const req = store.add(data);
+      const req = store.put(record);
       req.onsuccess = () => resolve();
       req.onerror = (e) => reject(e.target.error);
     });
@@ -44,120 +701,2825 @@ class AttendanceDB {
       req.onerror = (e) => reject(e.target.error);
     });
   }
+  async getRecord(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const store = tx.objectStore(this.storeName);
+      const req = store.get(id);
+      req.onsuccess = (e) => resolve(e.target.result || null);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // รายการของวันหนึ่ง (dateKey = YYYY-MM-DD) เรียงตามเวลา ระบุ employeeId เพื่อเอาเฉพาะของพนักงานคนนั้น
+  async getRecordsByDate(dateKey, employeeId = null) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const store = tx.objectStore(this.storeName);
+      const req = employeeId
+        ? store.index('employeeId_date').getAll(IDBKeyRange.only([employeeId, dateKey]))
+        : store.index('date').getAll(IDBKeyRange.only(dateKey));
+      req.onsuccess = (e) => resolve(e.target.result.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // รายการในช่วงเวลา [from, to] (Date หรือ ISO string) เรียงตามเวลา
+  async getRecordsInRange(from, to, employeeId = null) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const store = tx.objectStore(this.storeName);
+      const lower = new Date(from).toISOString();
+      const upper = new Date(to).toISOString();
+      const req = employeeId
+        ? store.index('employeeId_timestamp').getAll(IDBKeyRange.bound([employeeId, lower], [employeeId, upper]))
+        : store.index('timestamp').getAll(IDBKeyRange.bound(lower, upper));
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // แบ่งหน้าจากใหม่ไปเก่าด้วย cursor บน index timestamp เรียงตาม [timestamp, id]
+  // before = {timestamp, id} ของรายการสุดท้ายในหน้าก่อน (ไม่รวม), คืนค่า {records, nextBefore}
+  // ใช้ id ต่อจาก timestamp เพราะรายการที่เวลาเท่ากันพอดีอาจอยู่คนละหน้า
+  async getRecordsPage({employeeId = null, type = 'all', before = null, limit = APP_CONFIG.historyPageSize} = {}) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const store = tx.objectStore(this.storeName);
+      let index = store.index('timestamp');
+      let range = before ? IDBKeyRange.upperBound(before.timestamp) : null;
+      let boundary = before ? before.timestamp : null;
+      if (employeeId) {
+        index = store.index('employeeId_timestamp');
+        // '\uffff' มากกว่า ISO timestamp ทุกค่า ใช้เป็นขอบบนเมื่อเริ่มหน้าแรก
+        range = IDBKeyRange.bound([employeeId, ''], [employeeId, before ? before.timestamp : '\uffff']);
+        boundary = before ? [employeeId, before.timestamp] : null;
+      }
+      const records = [];
+      const req = index.openCursor(range, 'prev');
+      req.onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || records.length >= limit) {
+          const last = records[records.length - 1];
+          resolve({records, nextBefore: cursor && last ? {timestamp: last.timestamp, id: last.id} : null});
+          return;
+        }
+        // เวลาเท่ากับขอบของหน้าก่อน: ข้ามไปยังรายการที่ id น้อยกว่ารายการสุดท้ายของหน้าก่อน
+        if (boundary && cursor.primaryKey >= before.id && indexedDB.cmp(cursor.key, boundary) === 0) {
+          cursor.continuePrimaryKey(cursor.key, before.id - 1);
+          return;
+        }
+        if (matchesPunchFilter(type, cursor.value.type)) records.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // รายการที่ยังไม่ได้ส่งขึ้น backend (pending + failed)
+  async getUnsyncedRecords() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const index = tx.objectStore(this.storeName).index('syncStatus');
+      const results = [];
+      ['pending', 'failed'].forEach(status => {
+        index.getAll(IDBKeyRange.only(status)).onsuccess = (e) => results.push(...e.target.result);
+      });
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async countUnsyncedRecords() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readonly');
+      const index = tx.objectStore(this.storeName).index('syncStatus');
+      let count = 0;
+      ['pending', 'failed'].forEach(status => {
+        index.count(IDBKeyRange.only(status)).onsuccess = (e) => { count += e.target.result; };
+      });
+      tx.oncomplete = () => resolve(count);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // ลบภาพใบหน้าของรายการที่ sync แล้วและเก่ากว่า cutoff โดยเก็บข้อมูลลงเวลาไว้ คืนค่า {count, bytes}
+  async purgePhotosBefore(cutoff) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName], 'readwrite');
+      const index = tx.objectStore(this.storeName).index('timestamp');
+      const result = {count: 0, bytes: 0};
+      index.openCursor(IDBKeyRange.upperBound(new Date(cutoff).toISOString(), true)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        // ภาพของรายการที่ยังไม่ได้ส่งต้องเก็บไว้เป็นหลักฐานจนกว่าจะ sync สำเร็จ
+        if ((record.faceImage || record.faceThumbnail) && record.syncStatus === 'synced') {
+          result.count++;
+          result.bytes += photoSize(record.faceImage) + photoSize(record.faceThumbnail);
+          cursor.update({...record, faceImage: null, faceThumbnail: null, photoPurgedAt: new Date().toISOString()});
+        }
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async getFaceProfile(employeeId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.faceStoreName], 'readonly');
+      const store = tx.objectStore(this.faceStoreName);
+      const req = store.get(employeeId);
+      req.onsuccess = (e) => resolve(e.target.result || null);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async saveFaceProfile(profile) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.faceStoreName], 'readwrite');
+      const store = tx.objectStore(this.faceStoreName);
+      const req = store.put(profile);
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async getAllFaceProfiles() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.faceStoreName], 'readonly');
+      const req = tx.objectStore(this.faceStoreName).getAll();
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // นำเข้าข้อมูลจากไฟล์สำรองใน transaction เดียว (บันทึกทั้งหมดหรือไม่บันทึกเลย)
+  // records/requests ต้องไม่มี id เพื่อให้ได้ id ใหม่ต่อท้ายข้อมูลเดิม
+  async importBackup({records, faces, requests}, meta = []) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.storeName, this.faceStoreName, this.requestStoreName, this.metaStoreName], 'readwrite');
+      records.forEach(record => tx.objectStore(this.storeName).add({...record, date: record.date || toDateKey(record.timestamp)}));
+      faces.forEach(profile => tx.objectStore(this.faceStoreName).add(profile));
+      requests.forEach(request => tx.objectStore(this.requestStoreName).add(request));
+      meta.forEach(entry => tx.objectStore(this.metaStoreName).put(entry));
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async addRequest(request) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readwrite');
+      const req = tx.objectStore(this.requestStoreName).add(request);
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async updateRequest(request) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readwrite');
+      const req = tx.objectStore(this.requestStoreName).put(request);
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // คำขอทั้งหมดของพนักงาน เรียงจากใหม่ไปเก่า
+  async getRequests(employeeId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readonly');
+      const req = tx.objectStore(this.requestStoreName).index('employeeId').getAll(IDBKeyRange.only(employeeId));
+      req.onsuccess = (e) => resolve(e.target.result.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async getUnsyncedRequests() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readonly');
+      const index = tx.objectStore(this.requestStoreName).index('syncStatus');
+      const results = [];
+      ['pending', 'failed'].forEach(status => {
+        index.getAll(IDBKeyRange.only(status)).onsuccess = (e) => results.push(...e.target.result);
+      });
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = (e) => reject(e.target.error);
+    });
+  }
+  async getAllRequests() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readonly');
+      const req = tx.objectStore(this.requestStoreName).getAll();
+      req.onsuccess = (e) => resolve(e.target.result);
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
+  // คำขอที่ส่งขึ้น backend แล้วแต่ยังรออนุมัติ
+  async getAwaitingRequests() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.requestStoreName], 'readonly');
+      const req = tx.objectStore(this.requestStoreName).index('status').getAll(IDBKeyRange.only('pending'));
+      req.onsuccess = (e) => resolve(e.target.result.filter(r => r.syncStatus === 'synced'));
+      req.onerror = (e) => reject(e.target.error);
+    });
+  }
 }
 
-class AttendanceSystem {
-  constructor() {
-    this.video = document.getElementById('video');
-    this.faceOverlay = document.getElementById('faceOverlay');
-    this.startCameraBtn = document.getElementById('startCamera');
-    this.checkInBtn = document.getElementById('checkInBtn');
-    this.checkOutBtn = document.getElementById('checkOutBtn');
-    this.loadingIndicator = document.getElementById('loadingIndicator');
-    this.alertContainer = document.getElementById('alertContainer');
+// ป้องกันการแก้ไข/ลบรายการลงเวลาใน IndexedDB แบบเงียบๆ
+// แต่ละรายการเก็บ integrity = {seq, prevHash, hash, signature, deviceId}
+// hash = SHA-256 ของ field ที่ไม่เปลี่ยนแปลงหลังบันทึก (รวม photoHash) ต่อกับ hash ของรายการก่อนหน้า
+// signature = ECDSA P-256 ด้วย private key ที่สร้างในเครื่องแบบ non-extractable (export ออกไปไม่ได้)
+class IntegrityChain {
+  // field ที่เปลี่ยนได้หลังบันทึก (สถานะ sync, ภาพที่ถูกลบตาม retention, เวลาที่กู้คืนจากไฟล์สำรอง) จึงไม่นำมา hash
+  static get MUTABLE_FIELDS() {
+    return ['id', 'integrity', 'faceImage', 'faceThumbnail', 'photoPurgedAt', 'photoUrl', 'restoredAt',
+      'syncStatus', 'syncAttempts', 'nextSyncAt', 'lastSyncError', 'syncedAt'];
+  }
 
-    this.currentLocation = null;
-    this.isFaceDetected = false;
-    this.isCheckedIn = false;
-    this.faceDetectionInterval = null;
-    this.faceApiLoaded = false;
+  constructor(db) {
+    this.db = db;
+    this.queue = Promise.resolve();
+  }
 
-    this.snapshotCanvas = document.getElementById('snapshotCanvas');
-    this.db = new AttendanceDB();
-    this.db.open().then(() => {
-      this.init();
-    });
+  static canonicalFields(record) {
+    const fields = {...record};
+    IntegrityChain.MUTABLE_FIELDS.forEach(key => delete fields[key]);
+    return fields;
   }
 
-  init() {
-    this.loadFaceApiModels();
-    this.updateDateTime();
-    this.updateNetworkStatus();
-    this.loadAttendanceHistory();
-    this.updateDailySummary();
+  static async hashRecord(record, seq, prevHash) {
+    return sha256(canonicalJSON({seq, prevHash, fields: IntegrityChain.canonicalFields(record)}));
+  }
+
+  // key pair ของเครื่องนี้ สร้างครั้งแรกที่ใช้งานและเก็บ CryptoKey ไว้ใน IndexedDB
+  async getDeviceKey() {
+    const saved = await this.db.getMeta('deviceKey');
+    if (saved) return saved;
+    const {privateKey, publicKey} = await crypto.subtle.generateKey(
+      {name: 'ECDSA', namedCurve: 'P-256'}, false, ['sign', 'verify']);
+    const deviceKey = {
+      deviceId: generateId(),
+      privateKey,
+      publicKey,
+      publicJwk: await crypto.subtle.exportKey('jwk', publicKey), // public key export ได้เสมอ ส่งให้ backend ใช้ตรวจ
+      createdAt: new Date().toISOString()
+    };
+    await this.db.setMeta('deviceKey', deviceKey);
+    return deviceKey;
+  }
+
+  // public key ที่ใช้ตรวจลายเซ็น: ของเครื่องนี้ และของเครื่องเดิมที่นำเข้ามากับไฟล์สำรอง (meta 'trustedDeviceKeys')
+  async verificationKeys(deviceKey) {
+    const keys = new Map();
+    const trusted = await this.db.getMeta('trustedDeviceKeys') || {};
+    for (const [deviceId, jwk] of Object.entries(trusted)) {
+      keys.set(deviceId, await crypto.subtle.importKey('jwk', jwk, {name: 'ECDSA', namedCurve: 'P-256'}, false, ['verify']));
+    }
+    if (deviceKey) keys.set(deviceKey.deviceId, deviceKey.publicKey);
+    return keys;
+  }
+
+  // public key (JWK) ของทุกเครื่องที่ตรวจได้ ใส่ไว้ในไฟล์สำรองให้เครื่องที่กู้คืนตรวจรายการเดิมได้
+  async publicKeys() {
+    const deviceKey = await this.getDeviceKey();
+    return {...(await this.db.getMeta('trustedDeviceKeys') || {}), [deviceKey.deviceId]: deviceKey.publicJwk};
+  }
+
+  // ต่อรายการใหม่เข้ากับ chain แล้วบันทึก ทำทีละรายการเพื่อไม่ให้ seq ชนกัน
+  append(record) {
+    const task = this.queue.then(() => this.appendNow(record));
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async appendNow(record) {
+    const deviceKey = await this.getDeviceKey();
+    const head = await this.db.getMeta('chainHead') || {seq: 0, hash: null};
+    const sealed = {
+      ...record,
+      date: record.date || toDateKey(record.timestamp),
+      photoHash: record.faceImage ? await sha256(record.faceImage) : null
+    };
+    const seq = head.seq + 1;
+    const hash = await IntegrityChain.hashRecord(sealed, seq, head.hash);
+    const signature = await crypto.subtle.sign(
+      {name: 'ECDSA', hash: 'SHA-256'}, deviceKey.privateKey, new TextEncoder().encode(hash));
+    sealed.integrity = {
+      seq,
+      prevHash: head.hash,
+      hash,
+      signature: btoa(String.fromCharCode(...new Uint8Array(signature))),
+      deviceId: deviceKey.deviceId
+    };
+    const id = await this.db.addRecord(sealed, {key: 'chainHead', value: {seq, hash}});
+    Object.assign(record, sealed, {id});
+    return id;
+  }
+
+  // ไล่ตรวจ chain ทั้งหมดตามลำดับ id คืนค่า {ok, checked, unsigned, issues: [{id, seq, kind}]}
+  // แต่ละเครื่องมี chain ของตัวเอง (รายการที่กู้คืนจากไฟล์สำรองของเครื่องเดิมเป็นอีก chain หนึ่ง)
+  // kind: 'edited' | 'signature' | 'photo' | 'gap' | 'reordered' | 'broken' | 'truncated' | 'key'
+  async verify() {
+    const records = (await this.db.getAllRecords()).sort((a, b) => a.id - b.id);
+    const head = await this.db.getMeta('chainHead');
+    const deviceKey = await this.db.getMeta('deviceKey');
+    const keys = await this.verificationKeys(deviceKey);
+    const issues = [];
+    let checked = 0;
+    let unsigned = 0;
+    const prevByDevice = new Map();
+
+    for (const record of records) {
+      // รายการที่บันทึกก่อนมีระบบนี้
+      if (!record.integrity) {
+        unsigned++;
+        continue;
+      }
+      checked++;
+      const {seq, prevHash, hash, signature, deviceId} = record.integrity;
+      const issue = (kind) => issues.push({id: record.id, seq, kind});
+      const prev = prevByDevice.get(deviceId) || null;
+
+      const expectedSeq = prev ? prev.seq + 1 : 1;
+      if (seq < expectedSeq) issue('reordered');
+      else if (seq > expectedSeq) issue('gap');
+      else if (prevHash !== (prev ? prev.hash : null)) issue('broken');
+
+      if (await IntegrityChain.hashRecord(record, seq, prevHash) !== hash) issue('edited');
+      if (record.faceImage && record.photoHash && await sha256(record.faceImage) !== record.photoHash) issue('photo');
+
+      if (!keys.has(deviceId)) {
+        issue('key');
+      } else {
+        const valid = await crypto.subtle.verify(
+          {name: 'ECDSA', hash: 'SHA-256'}, keys.get(deviceId),
+          Uint8Array.from(atob(signature), c => c.charCodeAt(0)), new TextEncoder().encode(hash));
+        if (!valid) issue('signature');
+      }
+      if (!prev || seq > prev.seq) prevByDevice.set(deviceId, record.integrity);
+    }
+
+    // รายการท้าย chain ของเครื่องนี้ถูกลบ (หัว chain ที่บันทึกไว้ใหม่กว่ารายการล่าสุดที่เหลืออยู่)
+    const prev = deviceKey && prevByDevice.get(deviceKey.deviceId);
+    if (head && (!prev || head.seq > prev.seq)) {
+      issues.push({id: null, seq: head.seq, kind: 'truncated'});
+    }
+
+    return {ok: issues.length === 0, checked, unsigned, issues};
+  }
+}
+
+// นาฬิกาที่ไม่ขึ้นกับเวลาที่ผู้ใช้ตั้งในเครื่อง
+// - ออนไลน์: ประมาณ offset จากเวลาของ backend (ชดเชยครึ่งหนึ่งของ round-trip) และเก็บไว้ใน localStorage
+// - ระหว่างทำงาน: เดินเวลาต่อจาก anchor ด้วย performance.now() ซึ่งไม่เปลี่ยนตามการตั้งนาฬิกาเครื่อง
+// - ตรวจพบการตั้งนาฬิกาเครื่องใหม่ (ระหว่างเปิดแอป หรือย้อนหลังระหว่างปิดแอป): ทุกรายการถูก flag จนกว่าจะเทียบกับ backend สำเร็จ
+// fetchServerTime เปลี่ยนเป็นฟังก์ชันอื่นได้ (เช่น stub ที่คืนเวลาคงที่) ต้องคืนค่า epoch ms
+class TrustedClock {
+  // ความถี่ที่บันทึกเวลาล่าสุด (lastTrustedMs) ระหว่างเปิดแอป
+  static get SAVE_INTERVAL_MS() {
+    return 60 * 1000;
+  }
+
+  constructor(fetchServerTime = TrustedClock.fetchServerTime) {
+    this.fetchServerTime = fetchServerTime;
+    this.isSyncing = false;
+    this.saved = TrustedClock.load('trustedTime');
+    // {reason: 'forward'|'backward', detectedAt} เมื่อนาฬิกาเครื่องถูกตั้งใหม่หลังเทียบกับ backend ครั้งล่าสุด
+    this.changed = TrustedClock.load('clockChanged');
+    if (this.saved) {
+      // นาฬิกาเครื่องถูกตั้งย้อนหลังระหว่างที่ปิดแอป: ใช้เวลาล่าสุดที่เคยเห็นเป็นขั้นต่ำ
+      // (ตั้งไปข้างหน้าแยกไม่ออกจากการปิดแอปไว้นาน เวลาจึงเป็น 'cached' จนกว่าจะเทียบกับ backend)
+      const cached = Date.now() + this.saved.offsetMs;
+      if (cached < this.saved.lastTrustedMs - APP_CONFIG.clockJumpToleranceMs) this.markChanged('backward');
+      this.anchorAt(Math.max(cached, this.saved.lastTrustedMs), 'cached');
+    } else {
+      this.anchorAt(Date.now(), 'device');
+    }
+  }
+
+  static load(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  save() {
+    localStorage.setItem('trustedTime', JSON.stringify(this.saved));
+  }
+
+  // คงไว้แม้ปิดแอป ล้างได้เฉพาะเมื่อ sync กับ backend สำเร็จ
+  markChanged(reason) {
+    if (this.changed) return;
+    this.changed = {reason, detectedAt: new Date(Date.now()).toISOString()};
+    localStorage.setItem('clockChanged', JSON.stringify(this.changed));
+  }
+
+  static async fetchServerTime() {
+    const res = await fetch(APP_CONFIG.apiUrl, {
+      method: 'POST',
+      headers: {'Content-Type': 'text/plain;charset=utf-8'}, // เลี่ยง preflight เหมือน login.html
+      body: JSON.stringify({action: 'time'})
+    });
+    const json = await res.json();
+    const serverTime = new Date(json.serverTime).getTime(); // รับได้ทั้ง epoch ms และ ISO string
+    if (!json.ok || isNaN(serverTime)) throw new Error(json.error || 'Invalid server time');
+    return serverTime;
+  }
+
+  // source: 'server' (เทียบแล้วในรอบนี้), 'cached' (offset ที่เก็บไว้), 'device' (ยังไม่เคยเทียบ)
+  anchorAt(trustedMs, source) {
+    this.anchor = {trusted: trustedMs, mono: performance.now(), wall: Date.now(), source};
+  }
+
+  trustedMs() {
+    return this.anchor.trusted + (performance.now() - this.anchor.mono);
+  }
+
+  date() {
+    return new Date(this.trustedMs());
+  }
+
+  async sync() {
+    if (this.isSyncing || !navigator.onLine) return false;
+    this.isSyncing = true;
+    try {
+      const sentAt = performance.now();
+      const serverMs = await this.fetchServerTime();
+      const receivedAt = performance.now();
+      const trusted = serverMs + (receivedAt - sentAt) / 2;
+      this.anchor = {trusted, mono: receivedAt, wall: Date.now(), source: 'server'};
+      this.saved = {
+        offsetMs: Math.round(trusted - Date.now()),
+        rttMs: Math.round(receivedAt - sentAt),
+        syncedAt: new Date(trusted).toISOString(),
+        lastTrustedMs: Math.max(trusted, this.saved ? this.saved.lastTrustedMs : 0)
+      };
+      this.save();
+      this.changed = null;
+      localStorage.removeItem('clockChanged');
+      return true;
+    } catch (error) {
+      console.warn('Time sync failed:', error);
+      return false;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  // เรียกเป็นระยะ ตรวจว่านาฬิกาเครื่องถูกตั้งใหม่หรือไม่เมื่อเทียบกับ performance.now()
+  check() {
+    const drift = (Date.now() - this.anchor.wall) - (performance.now() - this.anchor.mono);
+    if (Math.abs(drift) > APP_CONFIG.clockJumpToleranceMs) {
+      if (drift < 0) {
+        // นาฬิกาถอยหลัง: เวลาที่เชื่อถือได้เดินต่อตามเดิม ผลต่างจะถูกจับได้เป็น skew ตอนลงเวลา
+        this.anchorAt(this.trustedMs(), this.anchor.source);
+        this.markChanged('backward');
+      } else {
+        // นาฬิกาเดินหน้าแยกไม่ออกจากการที่เครื่อง sleep (performance.now() หยุดนับ)
+        // จึงยอมรับเวลาเครื่องไว้ก่อน แต่ flag ทุกรายการจนกว่าจะเทียบกับ backend อีกครั้ง
+        this.anchorAt(this.trustedMs() + drift, 'device');
+        this.markChanged('forward');
+      }
+      this.sync();
+    }
+    // บันทึกเวลาล่าสุดที่เห็นเป็นระยะ เพื่อจับได้เมื่อนาฬิกาถูกตั้งย้อนหลังระหว่างปิดแอป
+    const trusted = Math.round(this.trustedMs());
+    if (this.saved && trusted - this.saved.lastTrustedMs > TrustedClock.SAVE_INTERVAL_MS) {
+      this.saved.lastTrustedMs = trusted;
+      this.save();
+    }
+  }
+
+  // ข้อมูลเวลาที่บันทึกไปกับทุกรายการลงเวลา
+  now() {
+    this.check();
+    const trusted = Math.round(this.trustedMs());
+    const device = Date.now();
+    const skewMs = device - trusted;
+    if (this.saved && trusted > this.saved.lastTrustedMs) {
+      this.saved.lastTrustedMs = trusted;
+      this.save();
+    }
+    return {
+      deviceTime: new Date(device).toISOString(),
+      trustedTime: new Date(trusted).toISOString(),
+      skewMs,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      utcOffsetMinutes: -new Date(device).getTimezoneOffset(),
+      source: this.anchor.source,
+      syncedAt: this.saved ? this.saved.syncedAt : null,
+      clockChanged: this.changed ? this.changed.reason : null,
+      flagged: Math.abs(skewMs) > APP_CONFIG.maxClockSkewMs || Boolean(this.changed)
+    };
+  }
+}
+
+// ส่งรายการลงเวลาที่ค้างอยู่ใน IndexedDB ไปยัง Apps Script backend
+// syncStatus: 'pending' (ยังไม่เคยส่ง), 'synced' (ส่งแล้ว), 'failed' (ส่งไม่สำเร็จ จะลองใหม่ตาม backoff)
+class SyncService {
+  constructor(db, onChange = () => {}) {
+    this.db = db;
+    this.onChange = onChange;
+    this.isSyncing = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.syncNow(), APP_CONFIG.syncIntervalMs);
+    this.syncNow();
+  }
+
+  // 5s, 10s, 20s, ... สูงสุด syncBackoffMaxMs พร้อม jitter เพื่อไม่ให้ทุกเครื่องยิงพร้อมกัน
+  static backoffDelay(attempts) {
+    const delay = Math.min(APP_CONFIG.syncBackoffBaseMs * 2 ** (attempts - 1), APP_CONFIG.syncBackoffMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async getUnsyncedCount() {
+    return this.db.countUnsyncedRecords();
+  }
+
+  // force = true จะไม่รอ backoff (เช่น เมื่อกลับมาออนไลน์)
+  async syncNow(force = false) {
+    if (this.isSyncing || !navigator.onLine) return;
+    this.isSyncing = true;
+    let pushed = 0;
+
+    try {
+      const now = Date.now();
+      const records = (await this.db.getUnsyncedRecords())
+        .filter(record => force || !record.nextSyncAt || new Date(record.nextSyncAt).getTime() <= now)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      for (const record of records) {
+        if (!navigator.onLine) break;
+        await this.pushRecord(record);
+        pushed++;
+      }
+
+      const requests = (await this.db.getUnsyncedRequests())
+        .filter(request => force || !request.nextSyncAt || new Date(request.nextSyncAt).getTime() <= now);
+      for (const request of requests) {
+        if (!navigator.onLine) break;
+        await this.pushRequest(request);
+        pushed++;
+      }
+      pushed += await this.pullRequestStatuses();
+    } catch (error) {
+      console.error('Sync error:', error);
+    } finally {
+      this.isSyncing = false;
+      if (pushed > 0) this.onChange();
+    }
+  }
+
+  async pushRecord(record) {
+    // รายการเก่าที่บันทึกก่อนมีระบบ sync ยังไม่มี idempotency key (migration v3 ตั้งเป็น pending ไว้ให้)
+    if (!record.idempotencyKey) {
+      record.idempotencyKey = generateId();
+      await this.db.updateRecord(record);
+    }
+    // public key ของเครื่อง ให้ backend ตรวจ signature ของ record.integrity ได้
+    const deviceKey = await this.db.getMeta('deviceKey');
+
+    try {
+      const res = await fetch(APP_CONFIG.apiUrl, {
+        method: 'POST',
+        headers: {'Content-Type': 'text/plain;charset=utf-8'}, // เลี่ยง preflight เหมือน login.html
+        body: JSON.stringify({
+          action: 'punch',
+          idempotencyKey: record.idempotencyKey,
+          employeeId: record.employeeId,
+          device: deviceKey ? {deviceId: deviceKey.deviceId, publicKey: deviceKey.publicJwk} : null,
+          record: {
+            ...record,
+            faceImage: await blobToDataURL(record.faceImage),
+            faceThumbnail: undefined,
+            syncStatus: undefined,
+            syncAttempts: undefined,
+            nextSyncAt: undefined,
+            lastSyncError: undefined
+          }
+        })
+      });
+      const json = await res.json();
+      // backend ตอบ duplicate เมื่อเคยได้รับ idempotencyKey นี้แล้ว ถือว่าส่งสำเร็จ
+      if (!json.ok && !json.duplicate) throw new Error(json.error || 'Punch sync failed');
+
+      record.syncStatus = 'synced';
+      record.syncedAt = new Date().toISOString();
+      record.lastSyncError = null;
+      record.nextSyncAt = null;
+      // URL ภาพใบหน้าบน backend (ถ้ามี) ใช้แนบในข้อความยืนยันทาง LINE
+      if (json.photoUrl) record.photoUrl = json.photoUrl;
+    } catch (error) {
+      console.warn(`Sync failed for record ${record.id}:`, error);
+      record.syncStatus = 'failed';
+      record.syncAttempts = (record.syncAttempts || 0) + 1;
+      record.lastSyncError = String(error.message || error);
+      record.nextSyncAt = new Date(Date.now() + SyncService.backoffDelay(record.syncAttempts)).toISOString();
+    }
+
+    await this.db.updateRecord(record);
+  }
+
+  async pushRequest(request) {
+    try {
+      const res = await fetch(APP_CONFIG.apiUrl, {
+        method: 'POST',
+        headers: {'Content-Type': 'text/plain;charset=utf-8'},
+        body: JSON.stringify({
+          action: 'request',
+          idempotencyKey: request.idempotencyKey,
+          employeeId: request.employeeId,
+          request: {
+            ...request,
+            syncStatus: undefined,
+            syncAttempts: undefined,
+            nextSyncAt: undefined,
+            lastSyncError: undefined
+          }
+        })
+      });
+      const json = await res.json();
+      if (!json.ok && !json.duplicate) throw new Error(json.error || 'Request sync failed');
+
+      request.syncStatus = 'synced';
+      request.syncedAt = new Date().toISOString();
+      request.lastSyncError = null;
+      request.nextSyncAt = null;
+    } catch (error) {
+      console.warn(`Sync failed for request ${request.id}:`, error);
+      request.syncStatus = 'failed';
+      request.syncAttempts = (request.syncAttempts || 0) + 1;
+      request.lastSyncError = String(error.message || error);
+      request.nextSyncAt = new Date(Date.now() + SyncService.backoffDelay(request.syncAttempts)).toISOString();
+    }
+
+    await this.db.updateRequest(request);
+  }
+
+  // ดึงผลการอนุมัติของคำขอที่ยังรออยู่ คืนค่าจำนวนคำขอที่สถานะเปลี่ยน
+  // backend ตอบ {ok, requests: [{idempotencyKey, status, reviewedBy, reviewedAt, reviewNote}]}
+  async pullRequestStatuses() {
+    const awaiting = await this.db.getAwaitingRequests();
+    if (awaiting.length === 0) return 0;
+
+    const res = await fetch(APP_CONFIG.apiUrl, {
+      method: 'POST',
+      headers: {'Content-Type': 'text/plain;charset=utf-8'},
+      body: JSON.stringify({action: 'request_status', idempotencyKeys: awaiting.map(r => r.idempotencyKey)})
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(json.error || 'Request status failed');
+
+    let changed = 0;
+    for (const update of json.requests || []) {
+      const request = awaiting.find(r => r.idempotencyKey === update.idempotencyKey);
+      if (!request || !['approved', 'rejected'].includes(update.status)) continue;
+      await this.db.updateRequest({
+        ...request,
+        status: update.status,
+        reviewedBy: update.reviewedBy || null,
+        reviewedAt: update.reviewedAt || new Date().toISOString(),
+        reviewNote: update.reviewNote || ''
+      });
+      changed++;
+    }
+    return changed;
+  }
+}
+
+// LINE LIFF ในหน้าลงเวลา: ตรวจว่าบัญชี LINE ที่เปิดอยู่เป็นบัญชีที่ผูกไว้ตอนล็อกอิน และส่งข้อความยืนยันหลังลงเวลา
+// รับ LIFF SDK เป็น argument (ค่าเริ่มต้นโหลดจาก APP_CONFIG.liffSdkUrl ตอน init) เพื่อใช้ LineLiff.stub() แทนตอนทดสอบได้
+// (ดู test/line-liff.test.js) เปิดนอกแอป LINE หรือโหลด SDK ไม่ได้จะไม่ขวางการลงเวลา (status 'unavailable')
+class LineLiff {
+  constructor(sdk = null, liffId = APP_CONFIG.liffId) {
+    this.sdk = sdk;
+    this.liffId = liffId;
+    this.status = 'pending';
+    this.profile = null;
+  }
+
+  // 'match' | 'mismatch' | 'unavailable' (ไม่รู้ว่าเป็นบัญชีใด)
+  static checkProfile(profile, boundUserId) {
+    if (!profile || !profile.userId || !boundUserId) return 'unavailable';
+    return profile.userId === boundUserId ? 'match' : 'mismatch';
+  }
+
+  // window.liff หรือ null ถ้าโหลด SDK ไม่ได้ (เช่น ออฟไลน์และยังไม่เคย cache)
+  static async loadSdk(url = APP_CONFIG.liffSdkUrl) {
+    if (window.liff) return window.liff;
+    try {
+      await loadScript(url);
+      return window.liff || null;
+    } catch (error) {
+      console.warn('LIFF SDK unavailable:', error);
+      return null;
+    }
+  }
+
+  async init(boundUserId) {
+    if (!this.sdk && this.liffId) this.sdk = await LineLiff.loadSdk();
+    if (!this.sdk || !this.liffId) {
+      this.status = 'unavailable';
+      return this.status;
+    }
+    try {
+      await this.sdk.init({liffId: this.liffId});
+      // นอกแอป LINE ต้อง liff.login() (redirect) ก่อนจึงจะรู้บัญชี ไม่บังคับเพื่อไม่ให้หน้าเด้งออกระหว่างใช้งาน
+      this.profile = this.sdk.isLoggedIn() ? await this.sdk.getProfile() : null;
+      this.status = LineLiff.checkProfile(this.profile, boundUserId);
+    } catch (error) {
+      console.warn('LIFF init failed:', error);
+      this.status = 'unavailable';
+    }
+    return this.status;
+  }
+
+  get blocked() {
+    return this.status === 'mismatch';
+  }
+
+  // sendMessages ใช้ได้เฉพาะใน LINE in-app browser
+  get canSendMessages() {
+    return APP_CONFIG.liffConfirmMessage && this.status === 'match' && this.sdk.isInClient();
+  }
+
+  // Flex message: ประเภท เวลา สถานที่ และภาพใบหน้า
+  static confirmationMessage(record) {
+    const type = punchLabel(record.type);
+    const time = `${I18n.formatDate(record.timestamp)} ${I18n.formatTime(record.timestamp)}`;
+    const site = record.geofence ? record.geofence.site
+      : `${record.location.latitude.toFixed(5)}, ${record.location.longitude.toFixed(5)}`;
+    const bubble = {
+      type: 'bubble',
+      size: 'kilo',
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          {type: 'text', text: t('line.confirmTitle', {type}), weight: 'bold', size: 'lg', color: PUNCH_TYPES[record.type].color},
+          {type: 'text', text: t('line.confirmTime', {time}), size: 'sm', wrap: true},
+          {type: 'text', text: t('line.confirmSite', {site}), size: 'sm', wrap: true}
+        ]
+      }
+    };
+    // LINE แสดงภาพได้จาก URL https เท่านั้น (ภาพในเครื่องเป็น Blob) จึงแนบเมื่อ backend ตอบ photoUrl กลับมาตอน sync
+    if (/^https:\/\//.test(record.photoUrl || '')) {
+      bubble.hero = {type: 'image', url: record.photoUrl, size: 'full', aspectRatio: '1:1', aspectMode: 'cover'};
+    }
+    return {type: 'flex', altText: t('line.confirmAlt', {type, time}), contents: bubble};
+  }
+
+  async sendConfirmation(record) {
+    if (!this.canSendMessages) return false;
+    await this.sdk.sendMessages([LineLiff.confirmationMessage(record)]);
+    return true;
+  }
+
+  // LIFF SDK จำลองสำหรับทดสอบ: profile = {userId, displayName} หรือ null (ยังไม่ล็อกอิน LINE)
+  // ข้อความที่ส่งเก็บไว้ใน stub.sent
+  static stub({profile = null, inClient = true, failInit = false} = {}) {
+    const sent = [];
+    return {
+      sent,
+      init: async () => {
+        if (failInit) throw new Error('LIFF init failed');
+      },
+      isLoggedIn: () => !!profile,
+      isInClient: () => inClient,
+      getProfile: async () => profile,
+      sendMessages: async messages => { sent.push(...messages); }
+    };
+  }
+}
+
+// คำนวณชั่วโมงทำงาน มาสาย ออกก่อน และ OT ของแต่ละวันจากกะการทำงาน
+// evaluateDay เป็น pure function: ผลขึ้นกับ argument เท่านั้น (ส่ง now และ shift จาก resolveShift เข้ามาเอง ดู test/shift.test.js)
+class ShiftCalculator {
+  // กะของพนักงาน พร้อม maxSessionHours ที่ evaluateDay ใช้ตัดสินว่ากะที่ยังไม่ออกงานยังทำงานอยู่หรือไม่
+  static resolveShift(employeeId, config = APP_CONFIG) {
+    const group = config.employeeShiftGroups[employeeId] || 'default';
+    return {maxSessionHours: config.maxSessionHours, ...(config.shiftGroups[group] || config.shiftGroups.default)};
+  }
+
+  // dateKey = YYYY-MM-DD, time = HH:MM -> Date ตามเวลาท้องถิ่น
+  static atTime(dateKey, time) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hour, minute);
+  }
+
+  static minutesBetween(from, to) {
+    return Math.round((to - from) / 60000);
+  }
+
+  // คำขอแก้ไขเวลาที่อนุมัติแล้วของวันนั้น เป็นรายการลงเวลาเสมือน (manual: true)
+  // เวลาที่ก่อนเริ่มกะของกะข้ามเที่ยงคืนถือเป็นของวันถัดไป
+  static correctionPunches(dateKey, requests, shift) {
+    return requests
+      .filter(r => r.kind === 'correction' && r.status === 'approved' && r.correction.date === dateKey)
+      .map(r => {
+        const time = ShiftCalculator.atTime(dateKey, r.correction.time);
+        if (shift.end <= shift.start && r.correction.time < shift.start) time.setDate(time.getDate() + 1);
+        return {type: r.correction.punchType, timestamp: time.toISOString(), manual: true, requestId: r.id};
+      });
+  }
+
+  // รวมเวลาพัก (break-start -> break-end) ในช่วง [from, to] พักที่ยังไม่กลับนับถึง to
+  static breakMinutes(sorted, from, to) {
+    let total = 0;
+    let start = null;
+    sorted.forEach(r => {
+      const t = new Date(r.timestamp);
+      if (t < from || t > to) return;
+      if (r.type === 'break-start' && !start) start = t;
+      if (r.type === 'break-end' && start) {
+        total += ShiftCalculator.minutesBetween(start, t);
+        start = null;
+      }
+    });
+    if (start) total += ShiftCalculator.minutesBetween(start, to);
+    return total;
+  }
+
+  // ประเภทการลาที่อนุมัติแล้วซึ่งครอบคลุมวันนั้น หรือ null
+  static leaveOn(dateKey, requests) {
+    const leave = requests.find(r => r.kind === 'leave' && r.status === 'approved' &&
+      r.leave.from <= dateKey && dateKey <= r.leave.to);
+    return leave ? leave.leave.leaveType : null;
+  }
+
+  // status: 'complete' | 'working' (วันนี้ ยังไม่ออกงาน) | 'incomplete' (ไม่มีออกงาน) | 'absent' | 'day-off' | 'leave'
+  // requests = คำขอของพนักงาน (ใช้เฉพาะที่อนุมัติแล้ว) checkInManual/checkOutManual บอกว่าเวลานั้นมาจากการแก้ไข
+  static evaluateDay(dateKey, records, shift, now = new Date(), requests = []) {
+    const sorted = [...records, ...ShiftCalculator.correctionPunches(dateKey, requests, shift)]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const checkIn = sorted.find(r => r.type === 'check-in');
+    const checkOut = checkIn
+      ? [...sorted].reverse().find(r => r.type === 'check-out' && new Date(r.timestamp) > new Date(checkIn.timestamp))
+      : null;
+
+    const shiftStart = ShiftCalculator.atTime(dateKey, shift.start);
+    const shiftEnd = ShiftCalculator.atTime(dateKey, shift.end);
+    // กะข้ามเที่ยงคืน เช่น 22:00 - 06:00
+    if (shiftEnd <= shiftStart) shiftEnd.setDate(shiftEnd.getDate() + 1);
+
+    const isWorkingDay = shift.workingDays.includes(shiftStart.getDay());
+    const result = {
+      date: dateKey,
+      status: isWorkingDay ? 'absent' : 'day-off',
+      isWorkingDay,
+      checkIn: checkIn ? checkIn.timestamp : null,
+      checkOut: checkOut ? checkOut.timestamp : null,
+      checkInManual: !!(checkIn && checkIn.manual),
+      checkOutManual: !!(checkOut && checkOut.manual),
+      leave: ShiftCalculator.leaveOn(dateKey, requests),
+      breakMinutes: 0,
+      workedMinutes: 0,
+      lateMinutes: 0,
+      earlyLeaveMinutes: 0,
+      overtimeMinutes: 0
+    };
+
+    if (!checkIn) {
+      if (isWorkingDay && result.leave) result.status = 'leave';
+      // วันที่ยังไม่ถึงเวลาเลิกงานยังไม่นับว่าขาดงาน
+      else if (isWorkingDay && now < shiftEnd) result.status = 'not-started';
+      return result;
+    }
+
+    const inTime = new Date(checkIn.timestamp);
+    if (isWorkingDay) {
+      const lateBy = ShiftCalculator.minutesBetween(shiftStart, inTime);
+      result.lateMinutes = lateBy > shift.graceMinutes ? lateBy : 0;
+    }
+
+    if (!checkOut) {
+      // กะที่ยังไม่ครบ shift.maxSessionHours ถือว่ายังทำงานอยู่ (รวมกะข้ามเที่ยงคืนของเมื่อวาน)
+      result.status = now - inTime < shift.maxSessionHours * 3600000 ? 'working' : 'incomplete';
+      if (result.status === 'working') {
+        // ระหว่างวันแสดงเวลาทำงานสุทธิถึงตอนนี้
+        result.breakMinutes = ShiftCalculator.breakMinutes(sorted, inTime, now);
+        result.workedMinutes = Math.max(0, ShiftCalculator.minutesBetween(inTime, now) - result.breakMinutes);
+      }
+      return result;
+    }
+
+    const outTime = new Date(checkOut.timestamp);
+    const span = ShiftCalculator.minutesBetween(inTime, outTime);
+    result.status = 'complete';
+    // หักเวลาพักที่ลงไว้จริง ถ้าไม่ได้ลงพักเลยหักตามเวลาพักของกะ
+    const tracked = ShiftCalculator.breakMinutes(sorted, inTime, outTime);
+    result.breakMinutes = tracked > 0 ? tracked : (span > shift.breakMinutes ? shift.breakMinutes : 0);
+    result.workedMinutes = Math.max(0, span - result.breakMinutes);
+
+    if (isWorkingDay) {
+      result.earlyLeaveMinutes = Math.max(0, ShiftCalculator.minutesBetween(outTime, shiftEnd));
+      result.overtimeMinutes = Math.max(0, ShiftCalculator.minutesBetween(shiftEnd, outTime));
+    } else {
+      // ทำงานในวันหยุดนับเป็น OT ทั้งหมด
+      result.overtimeMinutes = result.workedMinutes;
+    }
+    return result;
+  }
+}
+
+// สถานะการลงเวลา: 'off' (ยังไม่เข้างาน/ออกงานแล้ว) -> 'working' <-> 'on-break'
+// คิดจากกะ (session) ที่เริ่มด้วยเข้างาน ไม่ใช่วันที่ตามปฏิทิน กะข้ามเที่ยงคืนจึงนับเป็นของวันที่เข้างาน
+// ทุกฟังก์ชันเป็น pure function (ส่ง now เข้ามาเอง) ทดสอบกรณีข้ามเที่ยงคืนได้โดยไม่ต้องมี IndexedDB (ดู test/punch-state.test.js)
+class PunchStateMachine {
+  static get TRANSITIONS() {
+    return {
+      'off': {'check-in': 'working'},
+      'working': {'break-start': 'on-break', 'check-out': 'off'},
+      'on-break': {'break-end': 'working'}
+    };
+  }
+
+  static get STATE_LABELS() {
+    return {'off': t('state.off'), 'working': t('state.working'), 'on-break': t('state.on-break')};
+  }
+
+  // เล่นรายการตามลำดับเวลาแล้วแบ่งเป็นกะ: {workDate, start, end, state, abandoned, punches}
+  // รายการที่ไม่ถูกต้องตาม TRANSITIONS จะถูกข้าม คืนค่า {sessions, open} (open = กะที่ยังไม่ออกงาน หรือ null)
+  static sessions(records, now = new Date(), maxSessionHours = APP_CONFIG.maxSessionHours) {
+    const maxMs = maxSessionHours * 3600000;
+    const sessions = [];
+    let current = null;
+    const expire = (at) => {
+      // กะที่เปิดค้างนานเกินถือว่าลืมออกงาน
+      if (current && at - new Date(current.start) > maxMs) {
+        current.abandoned = true;
+        current = null;
+      }
+    };
+
+    [...records]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(r => {
+        const t = new Date(r.timestamp);
+        expire(t);
+        if (!current) {
+          if (r.type !== 'check-in') return;
+          current = {workDate: toDateKey(t), start: r.timestamp, end: null, state: 'working', abandoned: false, punches: [r]};
+          sessions.push(current);
+          return;
+        }
+        const next = PunchStateMachine.TRANSITIONS[current.state][r.type];
+        if (!next) return;
+        current.punches.push(r);
+        current.state = next;
+        if (next === 'off') {
+          current.end = r.timestamp;
+          current = null;
+        }
+      });
+    expire(now);
+    return {sessions, open: current};
+  }
+
+  static stateOf(records, now = new Date(), maxSessionHours = APP_CONFIG.maxSessionHours) {
+    const {open} = PunchStateMachine.sessions(records, now, maxSessionHours);
+    return open ? open.state : 'off';
+  }
+
+  // ตรวจก่อนลงเวลาประเภท type ที่เวลา now จากรายการล่าสุดของพนักงาน
+  // คืนค่า {ok, reason: null | 'duplicate' | 'invalid', message, state, workDate}
+  // workDate = วันทำงานที่รายการใหม่สังกัด (วันที่เข้างานของกะที่เปิดอยู่ หรือวันนี้)
+  static evaluate(records, type, now = new Date(), config = APP_CONFIG) {
+    const {open} = PunchStateMachine.sessions(records, now, config.maxSessionHours);
+    const state = open ? open.state : 'off';
+    const workDate = open ? open.workDate : toDateKey(now);
+    const result = {ok: true, reason: null, message: null, state, workDate};
+
+    const last = [...records].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const sinceLast = last ? (now - new Date(last.timestamp)) / 1000 : Infinity;
+    if (last && last.type === type && sinceLast >= 0 && sinceLast < config.punchDebounceSeconds) {
+      return {...result, ok: false, reason: 'duplicate', message: t('punch.duplicate', {type: punchLabel(type), seconds: Math.round(sinceLast)})};
+    }
+
+    const invalid = PunchStateMachine.validate(state, type);
+    if (invalid) return {...result, ok: false, reason: 'invalid', message: invalid};
+    return result;
+  }
+
+  // คืนข้อความเตือนเมื่อลงเวลาประเภทนี้ไม่ได้ในสถานะปัจจุบัน หรือ null ถ้าทำได้
+  static validate(state, type) {
+    if (PunchStateMachine.TRANSITIONS[state][type]) return null;
+    const messages = {
+      'check-in': state === 'on-break' ? 'punch.onBreakCheckIn' : 'punch.alreadyIn',
+      'check-out': state === 'on-break' ? 'punch.onBreakCheckOut' : 'punch.notIn',
+      'break-start': state === 'on-break' ? 'punch.alreadyOnBreak' : 'punch.notIn',
+      'break-end': 'punch.notOnBreak'
+    };
+    return t(messages[type]);
+  }
+}
+
+// Liveness challenge จาก 68-point landmarks ของ face-api.js
+// ใช้ได้ทั้งกับกล้องจริงและลำดับ landmarks ที่บันทึกไว้ (ดู LivenessChallenge.replay)
+class LivenessChallenge {
+  constructor(type, timeoutMs = APP_CONFIG.livenessTimeoutMs) {
+    this.type = type;
+    this.timeoutMs = timeoutMs;
+    this.startedAt = null;
+    this.durationMs = 0;
+    this.armed = false;     // เห็นท่าปกติ (ตาลืม/หน้าตรง/ปากปิด) ก่อนแล้ว
+    this.triggered = false; // สำหรับ blink: เห็นตาปิดแล้ว รอตาลืมอีกครั้ง
+    this.status = 'pending';
+  }
+
+  static random(types = APP_CONFIG.livenessChallenges) {
+    return new LivenessChallenge(types[Math.floor(Math.random() * types.length)]);
+  }
+
+  // ทดสอบกับลำดับ landmarks ที่บันทึกไว้: frames = [{t: ms, points: [{x, y}, ...68 จุด]}] (ดู test/liveness.test.js)
+  static replay(type, frames, timeoutMs) {
+    const challenge = new LivenessChallenge(type, timeoutMs);
+    for (const frame of frames) {
+      if (challenge.update(frame.points, frame.t) !== 'pending') break;
+    }
+    return challenge.result();
+  }
+
+  static distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  // Eye aspect ratio ของตาหนึ่งข้าง (6 จุด)
+  static eyeAspectRatio(eye) {
+    const d = LivenessChallenge.distance;
+    return (d(eye[1], eye[5]) + d(eye[2], eye[4])) / (2 * d(eye[0], eye[3]));
+  }
+
+  static measure(points) {
+    const d = LivenessChallenge.distance;
+    const ear = (LivenessChallenge.eyeAspectRatio(points.slice(36, 42)) +
+      LivenessChallenge.eyeAspectRatio(points.slice(42, 48))) / 2;
+    // ตำแหน่งปลายจมูกเทียบกับขอบกราม 0 = ชิดซ้ายของภาพ, 1 = ชิดขวาของภาพ
+    const yaw = (points[30].x - points[0].x) / (points[16].x - points[0].x);
+    // Mouth aspect ratio จากริมฝีปากด้านใน
+    const mar = d(points[62], points[66]) / d(points[60], points[64]);
+    return {ear, yaw, mar};
+  }
+
+  get instruction() {
+    switch (this.type) {
+      case 'blink':
+      case 'turn-left':
+      case 'turn-right':
+      case 'open-mouth':
+        return t(`liveness.${this.type}`);
+      default: return t('liveness.look');
+    }
+  }
+
+  update(points, timestamp = performance.now()) {
+    if (this.status !== 'pending') return this.status;
+    if (this.startedAt === null) this.startedAt = timestamp;
+    this.durationMs = Math.round(timestamp - this.startedAt);
+
+    if (this.durationMs > this.timeoutMs) {
+      this.status = 'failed';
+      return this.status;
+    }
+
+    const {ear, yaw, mar} = LivenessChallenge.measure(points);
+    let passed = false;
+    switch (this.type) {
+      case 'blink':
+        if (!this.armed) this.armed = ear > 0.25;
+        else if (!this.triggered) this.triggered = ear < 0.2;
+        else passed = ear > 0.25;
+        break;
+      // ภาพจากกล้องหน้าไม่ได้กลับด้าน หันซ้ายของผู้ใช้จมูกจึงเลื่อนไปทางขวาของภาพ
+      case 'turn-left':
+        if (!this.armed) this.armed = Math.abs(yaw - 0.5) < 0.1;
+        else passed = yaw > 0.68;
+        break;
+      case 'turn-right':
+        if (!this.armed) this.armed = Math.abs(yaw - 0.5) < 0.1;
+        else passed = yaw < 0.32;
+        break;
+      case 'open-mouth':
+        if (!this.armed) this.armed = mar < 0.15;
+        else passed = mar > 0.4;
+        break;
+    }
+
+    if (passed) this.status = 'passed';
+    return this.status;
+  }
+
+  result() {
+    return {
+      challenge: this.type,
+      passed: this.status === 'passed',
+      durationMs: this.durationMs
+    };
+  }
+}
+
+// ตรวจคุณภาพภาพใบหน้า (ความคมชัด แสง ขนาด ตำแหน่ง และท่าทาง) ก่อนบันทึกเป็นหลักฐานการลงเวลา
+// measure อ่าน pixel จาก video ส่วนฟังก์ชันอื่นเป็น pure function ทดสอบกับ array ได้โดยตรง
+class CaptureQuality {
+  static get SAMPLE_SIZE() {
+    return 128;
+  }
+
+  // ลำดับความสำคัญของคำแนะนำ (แก้ตำแหน่งก่อน แล้วค่อยแก้แสงและความคมชัด)
+  static get ISSUES() {
+    return ['too-far', 'too-close', 'off-center', 'turned', 'tilted',
+      'too-dark', 'too-bright', 'backlit', 'low-contrast', 'blurry'];
+  }
+
+  // RGBA -> ความสว่าง (Rec. 601)
+  static luminance(rgba) {
+    const gray = new Float32Array(rgba.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    }
+    return gray;
+  }
+
+  static stats(gray) {
+    let sum = 0;
+    let sumSq = 0;
+    for (const v of gray) {
+      sum += v;
+      sumSq += v * v;
+    }
+    const mean = sum / gray.length;
+    return {mean, std: Math.sqrt(Math.max(0, sumSq / gray.length - mean * mean))};
+  }
+
+  // ความแปรปรวนของ Laplacian (kernel 4 ทิศ) ภาพเบลอมีขอบน้อยจึงได้ค่าต่ำ
+  static laplacianVariance(gray, width, height) {
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const v = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+        sum += v;
+        sumSq += v * v;
+        n++;
+      }
+    }
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+  }
+
+  static geometry(box, frameWidth, frameHeight) {
+    const dx = (box.x + box.width / 2 - frameWidth / 2) / (frameWidth / 2);
+    const dy = (box.y + box.height / 2 - frameHeight / 2) / (frameHeight / 2);
+    return {faceSize: box.width / frameWidth, centerOffset: Math.hypot(dx, dy)};
+  }
+
+  // ท่าทางศีรษะจาก landmarks 68 จุด
+  static pose(points) {
+    const center = (from, to) => {
+      const eye = points.slice(from, to);
+      return {x: eye.reduce((s, p) => s + p.x, 0) / eye.length, y: eye.reduce((s, p) => s + p.y, 0) / eye.length};
+    };
+    const left = center(36, 42);
+    const right = center(42, 48);
+    const eyeY = (left.y + right.y) / 2;
+    return {
+      yaw: Math.abs(LivenessChallenge.measure(points).yaw - 0.5),
+      roll: Math.abs(Math.atan2(right.y - left.y, right.x - left.x) * 180 / Math.PI),
+      pitch: (points[30].y - eyeY) / (points[8].y - eyeY)
+    };
+  }
+
+  // face/frame = ภาพขาวดำขนาด size x size ของบริเวณใบหน้าและทั้งเฟรม
+  // box/points = null เมื่อไม่รู้ตำแหน่งใบหน้า (โหมดจำลอง) จะวัดเฉพาะแสงและความคมชัด
+  static metrics({face, frame, size, box = null, points = null, frameWidth, frameHeight}) {
+    const round = (v, digits = 0) => v == null ? null : Number(v.toFixed(digits));
+    const {mean, std} = CaptureQuality.stats(face);
+    const geometry = box ? CaptureQuality.geometry(box, frameWidth, frameHeight) : {faceSize: null, centerOffset: null};
+    const pose = points ? CaptureQuality.pose(points) : {yaw: null, roll: null, pitch: null};
+    return {
+      sharpness: round(CaptureQuality.laplacianVariance(face, size, size)),
+      brightness: round(mean),
+      contrast: round(std),
+      backlight: box ? round(CaptureQuality.stats(frame).mean - mean) : null,
+      faceSize: round(geometry.faceSize, 3),
+      centerOffset: round(geometry.centerOffset, 3),
+      yaw: round(pose.yaw, 3),
+      roll: round(pose.roll, 1),
+      pitch: round(pose.pitch, 3)
+    };
+  }
+
+  // คืนค่า metrics พร้อม issues (เรียงตาม ISSUES) และ ok ค่า null คือไม่ได้วัดจึงไม่ตรวจ
+  static evaluate(metrics, limits = APP_CONFIG.captureQuality) {
+    const m = metrics;
+    const found = new Set();
+    if (m.faceSize != null && m.faceSize < limits.minFaceSize) found.add('too-far');
+    if (m.faceSize != null && m.faceSize > limits.maxFaceSize) found.add('too-close');
+    if (m.centerOffset != null && m.centerOffset > limits.maxCenterOffset) found.add('off-center');
+    if (m.yaw != null && (m.yaw > limits.maxYaw || m.pitch < limits.minPitch || m.pitch > limits.maxPitch)) found.add('turned');
+    if (m.roll != null && m.roll > limits.maxRoll) found.add('tilted');
+    if (m.brightness < limits.minBrightness) found.add('too-dark');
+    if (m.brightness > limits.maxBrightness) found.add('too-bright');
+    if (m.backlight != null && m.backlight > limits.maxBacklight) found.add('backlit');
+    if (m.contrast < limits.minContrast) found.add('low-contrast');
+    if (m.sharpness < limits.minSharpness) found.add('blurry');
+    const issues = CaptureQuality.ISSUES.filter(issue => found.has(issue));
+    return {...metrics, issues, ok: issues.length === 0};
+  }
+
+  // วัดจากเฟรมปัจจุบันของ video (box = กรอบใบหน้าในพิกัดของ video ถ้าไม่มีใช้กลางภาพ)
+  static measure(video, canvas, box = null, points = null) {
+    const size = CaptureQuality.SAMPLE_SIZE;
+    const frameWidth = video.videoWidth;
+    const frameHeight = video.videoHeight;
+    const side = Math.min(frameWidth, frameHeight);
+    const crop = box || {x: (frameWidth - side) / 2, y: (frameHeight - side) / 2, width: side, height: side};
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d', {willReadFrequently: true});
+    ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, size, size);
+    const face = CaptureQuality.luminance(ctx.getImageData(0, 0, size, size).data);
+    ctx.drawImage(video, 0, 0, frameWidth, frameHeight, 0, 0, size, size);
+    const frame = CaptureQuality.luminance(ctx.getImageData(0, 0, size, size).data);
+    return CaptureQuality.metrics({face, frame, size, box, points, frameWidth, frameHeight});
+  }
+
+  static guidance(issue) {
+    return t(`quality.${issue}`);
+  }
+}
+
+// ตรวจสอบตำแหน่งเทียบกับสถานที่ทำงาน (APP_CONFIG.workSites)
+class GeoFence {
+  // ระยะทางบนผิวโลก (เมตร) ด้วยสูตร haversine
+  static haversine(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(a));
+  }
+
+  // Ray casting: จุดอยู่ใน polygon หรือไม่
+  static isInsidePolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [latI, lngI] = polygon[i];
+      const [latJ, lngJ] = polygon[j];
+      if ((lngI > lng) !== (lngJ > lng) &&
+          lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // ระยะจากจุดถึงขอบ polygon (เมตร) ประมาณด้วย equirectangular projection ซึ่งแม่นพอในระยะไม่กี่กิโลเมตร
+  static distanceToPolygon(lat, lng, polygon) {
+    const mPerDegLat = 111320;
+    const mPerDegLng = 111320 * Math.cos(lat * Math.PI / 180);
+    const points = polygon.map(([pLat, pLng]) => ({x: (pLng - lng) * mPerDegLng, y: (pLat - lat) * mPerDegLat}));
+    let min = Infinity;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[j];
+      const b = points[i];
+      const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+      const t = lengthSq ? Math.max(0, Math.min(1, -(a.x * (b.x - a.x) + a.y * (b.y - a.y)) / lengthSq)) : 0;
+      min = Math.min(min, Math.hypot(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)));
+    }
+    return min;
+  }
+
+  // ระยะจากตำแหน่งถึงพื้นที่ของ site (0 = อยู่ในพื้นที่)
+  static distanceToSite(location, site) {
+    const {latitude, longitude} = location;
+    if (site.polygon) {
+      return GeoFence.isInsidePolygon(latitude, longitude, site.polygon)
+        ? 0 : GeoFence.distanceToPolygon(latitude, longitude, site.polygon);
+    }
+    const fromCenter = GeoFence.haversine(latitude, longitude, site.center.latitude, site.center.longitude);
+    return Math.max(0, fromCenter - site.radius);
+  }
+
+  // คืนค่า site ที่ใกล้ที่สุดพร้อมผลตรวจสอบ หรือ null ถ้าไม่ได้กำหนด workSites
+  static evaluate(location, sites = APP_CONFIG.workSites, maxAccuracy = APP_CONFIG.maxLocationAccuracy) {
+    if (!location || !sites || sites.length === 0) return null;
+
+    let nearest = null;
+    sites.forEach(site => {
+      const distance = GeoFence.distanceToSite(location, site);
+      if (!nearest || distance < nearest.distance) nearest = {site: site.name, distance};
+    });
+
+    return {
+      site: nearest.site,
+      distance: Math.round(nearest.distance),
+      inZone: nearest.distance === 0,
+      accuracyOk: location.accuracy <= maxAccuracy
+    };
+  }
+}
+
+// นโยบายโหมดจำลอง (ไม่มีการตรวจใบหน้าจริง) ตาม APP_CONFIG.simulationPolicy / simulationDevMode
+class SimulationPolicy {
+  static get POLICIES() {
+    return ['forbid', 'flag', 'pin'];
+  }
+
+  // 'developer' เมื่อเปิด simulationDevMode ค่าที่ไม่รู้จักถือเป็น 'forbid'
+  static current(config = APP_CONFIG) {
+    if (config.simulationDevMode) return 'developer';
+    return SimulationPolicy.POLICIES.includes(config.simulationPolicy) ? config.simulationPolicy : 'forbid';
+  }
+
+  static get allowed() {
+    return SimulationPolicy.current() !== 'forbid';
+  }
+
+  // คืนค่า {ok, reason, simulation} โดย simulation คือข้อมูลที่บันทึกไปกับรายการลงเวลา
+  // ทุกรายการในโหมดจำลองถูกทำเครื่องหมายให้ตรวจสอบ เพราะไม่มีใครเห็นใบหน้าจริง
+  static evaluate(policy, pinVerified = false) {
+    if (policy === 'forbid') return {ok: false, reason: 'forbidden', simulation: null};
+    if (policy === 'pin' && !pinVerified) return {ok: false, reason: 'pin', simulation: null};
+    return {ok: true, reason: null, simulation: {policy, pinVerified, flagged: true}};
+  }
+}
+
+// โหลด weights ของ face-api.js เอง (แทน loadFromUri) เพื่อเก็บไว้ใน Cache API ใช้งานออฟไลน์ได้
+// และตรวจความถูกต้องของไฟล์ก่อนนำไปใช้
+class ModelLoader {
+  static get MODELS() {
+    return {
+      ssd: {net: 'ssdMobilenetv1', file: 'ssd_mobilenetv1_model', label: 'SSD MobileNet'},
+      tiny: {net: 'tinyFaceDetector', file: 'tiny_face_detector_model', label: 'Tiny Face Detector'},
+      landmarks: {net: 'faceLandmark68Net', file: 'face_landmark_68_model', label: 'Face Landmarks'},
+      recognition: {net: 'faceRecognitionNet', file: 'face_recognition_model', label: 'Face Recognition'}
+    };
+  }
+
+  // onProgress(key, percent, source) ถูกเรียกเมื่อโหลดแต่ละไฟล์เสร็จ
+  constructor(onProgress = () => {}) {
+    this.onProgress = onProgress;
+  }
+
+  // ลำดับ model ที่ต้องใช้ตามตัวตรวจจับที่เลือก
+  static requiredModels(detector) {
+    return [detector === 'tiny' ? 'tiny' : 'ssd', 'landmarks', 'recognition'];
+  }
+
+  // error ของการตรวจความถูกต้อง (ไฟล์ใน cache ที่เกี่ยวข้องจะถูกลบ)
+  static integrityError(message) {
+    return Object.assign(new Error(`Integrity check failed: ${message}`), {integrity: true});
+  }
+
+  // อ่านไฟล์จาก cache หรือ network คืนค่า {buffer, fresh} fresh = โหลดจาก network (ยังไม่ได้เก็บลง cache)
+  async fetchFile(cache, url) {
+    const cached = cache && await cache.match(url);
+    if (cached) return {buffer: await cached.arrayBuffer(), fresh: false};
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${url}`);
+    return {buffer: await response.arrayBuffer(), fresh: true};
+  }
+
+  // ขนาด (bytes) ที่ควรเป็นของ weight group ตาม manifest
+  static expectedBytes(weights) {
+    const bytesPerValue = {float32: 4, int32: 4, uint8: 1, uint16: 2};
+    return weights.reduce((total, w) => {
+      const size = w.shape.reduce((a, b) => a * b, 1);
+      const dtype = w.quantization ? w.quantization.dtype : w.dtype;
+      return total + size * bytesPerValue[dtype];
+    }, 0);
+  }
+
+  // เทียบ SHA-256 กับ APP_CONFIG.modelHashes ไฟล์ที่ไม่มีค่าให้เทียบถือว่าไม่ผ่าน (fail closed)
+  static async verify(name, buffer, hashes = APP_CONFIG.modelHashes) {
+    const expected = hashes[name];
+    if (!expected) throw ModelLoader.integrityError(`${name} has no pinned hash`);
+    if (await sha256(buffer) !== expected) throw ModelLoader.integrityError(name);
+  }
+
+  // คืนค่า weight groups ที่ตรวจแล้ว [{data: ArrayBuffer, weights: manifest specs}] ให้ FaceDetector นำไปโหลด
+  // เก็บไฟล์ลง cache หลังตรวจครบทั้ง model แล้วเท่านั้น ถ้าตรวจไม่ผ่านจะลบไฟล์ของ model นี้ที่อยู่ใน cache
+  // (ไฟล์ที่เสียอาจมาจาก cache เอง) เพื่อให้ครั้งต่อไปโหลดใหม่
+  async loadModel(key, source) {
+    const model = ModelLoader.MODELS[key];
+    const cache = 'caches' in window ? await caches.open(APP_CONFIG.modelCacheName) : null;
+    const files = new Map();
+    const read = async (url, name) => {
+      const file = await this.fetchFile(cache, url);
+      files.set(url, file);
+      await ModelLoader.verify(name, file.buffer);
+      return file.buffer;
+    };
+
+    try {
+      const manifestName = `${model.file}-weights_manifest.json`;
+      const manifestBuffer = await read(`${source}/${manifestName}`, manifestName);
+      let manifest;
+      try {
+        manifest = JSON.parse(new TextDecoder().decode(manifestBuffer));
+      } catch (error) {
+        throw ModelLoader.integrityError(manifestName);
+      }
+
+      const totalFiles = manifest.reduce((n, group) => n + group.paths.length, 0);
+      let loadedFiles = 0;
+      this.onProgress(key, 0, source);
+
+      const groups = [];
+      for (const group of manifest) {
+        const buffers = [];
+        for (const path of group.paths) {
+          buffers.push(await read(`${source}/${path}`, path));
+          loadedFiles++;
+          this.onProgress(key, Math.round(loadedFiles / totalFiles * 100), source);
+        }
+
+        const data = new Uint8Array(buffers.reduce((n, b) => n + b.byteLength, 0));
+        let offset = 0;
+        buffers.forEach(b => {
+          data.set(new Uint8Array(b), offset);
+          offset += b.byteLength;
+        });
+        if (data.byteLength !== ModelLoader.expectedBytes(group.weights)) {
+          throw ModelLoader.integrityError(`${model.file} size mismatch`);
+        }
+        groups.push({data: data.buffer, weights: group.weights});
+      }
+
+      if (cache) {
+        for (const [url, file] of files) {
+          if (file.fresh) await cache.put(url, new Response(file.buffer));
+        }
+      }
+      return groups;
+    } catch (error) {
+      if (cache && error.integrity) {
+        await Promise.all([...files.keys()].map(url => cache.delete(url)));
+      }
+      throw error;
+    }
+  }
+
+  // ลองแต่ละแหล่งตามลำดับจนกว่าจะโหลด model นั้นสำเร็จ แล้วโหลดเข้า target (FaceDetector)
+  async loadAll(detector, target, sources = APP_CONFIG.modelSources) {
+    for (const key of ModelLoader.requiredModels(detector)) {
+      if (target.isLoaded(key)) {
+        this.onProgress(key, 100, null);
+        continue;
+      }
+      let groups = null;
+      let lastError = null;
+      for (const source of sources) {
+        try {
+          groups = await this.loadModel(key, source);
+          lastError = null;
+          break;
+        } catch (error) {
+          console.warn(`Failed to load ${key} from ${source}:`, error);
+          lastError = error;
+        }
+      }
+      if (lastError) throw lastError;
+      await target.load(key, groups);
+    }
+  }
+}
+
+// ตรวจจับใบหน้าด้วย face-api.js บน main thread คืนผลเป็น plain object
+// [{box: {x, y, width, height}, score, landmarks: [{x, y}, ...68 จุด], descriptor: number[] | null}]
+class FaceDetector {
+  // ใช้ Web Worker เมื่อเบราว์เซอร์ส่งเฟรมเป็น ImageBitmap และวาดลง OffscreenCanvas ใน worker ได้
+  static create() {
+    const supported = 'Worker' in window && 'OffscreenCanvas' in window && 'createImageBitmap' in window;
+    return APP_CONFIG.faceWorker && supported ? new WorkerFaceDetector() : new FaceDetector();
+  }
+
+  // ต้องตรงกับ detectorOptions ใน face-worker.js
+  static detectorOptions(detector) {
+    return detector === 'tiny'
+      ? {detector: 'tiny', inputSize: 320, scoreThreshold: 0.5}
+      : {detector: 'ssd', scoreThreshold: 0.5};
+  }
+
+  static serialize(result) {
+    const box = result.detection.box;
+    return {
+      box: {x: box.x, y: box.y, width: box.width, height: box.height},
+      score: result.detection.score,
+      landmarks: result.landmarks.positions.map(p => ({x: p.x, y: p.y})),
+      descriptor: result.descriptor ? Array.from(result.descriptor) : null
+    };
+  }
+
+  isLoaded(key) {
+    return faceapi.nets[ModelLoader.MODELS[key].net].isLoaded;
+  }
+
+  async load(key, groups) {
+    const weightMap = {};
+    groups.forEach(group => Object.assign(weightMap, faceapi.tf.io.decodeWeights(group.data, group.weights)));
+    faceapi.nets[ModelLoader.MODELS[key].net].loadFromWeightMap(weightMap);
+  }
+
+  // descriptor = true ตรวจใบหน้าเดียวพร้อม face descriptor (ใช้ลงทะเบียนและเทียบใบหน้า)
+  async detect(video, options, descriptor = false) {
+    const faceapiOptions = options.detector === 'tiny'
+      ? new faceapi.TinyFaceDetectorOptions({inputSize: options.inputSize, scoreThreshold: options.scoreThreshold})
+      : new faceapi.SsdMobilenetv1Options({minConfidence: options.scoreThreshold});
+    if (descriptor) {
+      const result = await faceapi.detectSingleFace(video, faceapiOptions).withFaceLandmarks().withFaceDescriptor();
+      return result ? [FaceDetector.serialize(result)] : [];
+    }
+    const results = await faceapi.detectAllFaces(video, faceapiOptions).withFaceLandmarks();
+    return results.map(FaceDetector.serialize);
+  }
+}
+
+// ตรวจจับใบหน้าใน face-worker.js ส่งเฟรมเป็น ImageBitmap (transfer ไม่ต้องคัดลอก) UI จึงไม่กระตุกระหว่าง inference
+// error ที่เกิดจาก worker เอง (โหลดสคริปต์หรือ backend ไม่ได้) มี workerFailed = true เพื่อให้ถอยไปใช้ main thread
+class WorkerFaceDetector extends FaceDetector {
+  constructor() {
+    super();
+    this.worker = new Worker('face-worker.js');
+    this.pending = new Map();
+    this.nextId = 1;
+    this.loaded = new Set();
+    this.worker.onmessage = (event) => {
+      const {id, ok, result, error} = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (ok) request.resolve(result);
+      else request.reject(Object.assign(new Error(error), {workerFailed: request.type === 'load'}));
+    };
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      const error = Object.assign(new Error(event.message || 'Face worker failed'), {workerFailed: true});
+      this.pending.forEach(request => request.reject(error));
+      this.pending.clear();
+    };
+  }
+
+  request(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, {resolve, reject, type: message.type});
+      this.worker.postMessage({...message, id}, transfer);
+    });
+  }
+
+  isLoaded(key) {
+    return this.loaded.has(key);
+  }
+
+  async load(key, groups) {
+    await this.request({type: 'load', net: ModelLoader.MODELS[key].net, groups}, groups.map(group => group.data));
+    this.loaded.add(key);
+  }
+
+  async detect(video, options, descriptor = false) {
+    const frame = await createImageBitmap(video);
+    return this.request({type: 'detect', frame, options, descriptor}, [frame]);
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
+
+// วน detect ทีละเฟรมโดยไม่ซ้อนกัน: เฟรมถัดไปเริ่มหลังเฟรมก่อนเสร็จ และเว้นระยะตามเวลา inference เฉลี่ย
+// หยุดเมื่อแท็บถูกซ่อน (document.hidden) และทำต่อเมื่อกลับมาแสดง
+class DetectionLoop {
+  constructor(step, {
+    minIntervalMs = APP_CONFIG.detectionMinIntervalMs,
+    maxIntervalMs = APP_CONFIG.detectionMaxIntervalMs,
+    loadFactor = APP_CONFIG.detectionLoadFactor
+  } = {}) {
+    this.step = step;
+    this.options = {minIntervalMs, maxIntervalMs, loadFactor};
+    this.running = false;
+    this.busy = false;
+    this.timer = null;
+    this.averageMs = null;
+    this.onVisibilityChange = () => {
+      if (!document.hidden && this.running && !this.busy && !this.timer) this.schedule(0);
+    };
+  }
+
+  // ค่าเฉลี่ยแบบ exponential ของเวลา inference (ms)
+  static average(previous, sample) {
+    return previous == null ? sample : previous * 0.8 + sample * 0.2;
+  }
+
+  static nextDelay(averageMs, {minIntervalMs, maxIntervalMs, loadFactor}) {
+    return Math.round(Math.min(maxIntervalMs, Math.max(minIntervalMs, averageMs * loadFactor)));
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    // แท็บถูกซ่อน: ไม่ตั้งเวลาต่อ onVisibilityChange จะเริ่มใหม่เอง
+    if (!this.running || document.hidden) return;
+    this.busy = true;
+    const startedAt = performance.now();
+    try {
+      await this.step();
+    } finally {
+      this.busy = false;
+    }
+    this.averageMs = DetectionLoop.average(this.averageMs, performance.now() - startedAt);
+    if (this.running && !document.hidden) this.schedule(DetectionLoop.nextDelay(this.averageMs, this.options));
+  }
+}
+
+// ส่งออก timesheet ตามช่วงวันที่เป็น CSV, XLSX และหน้าพิมพ์ (บันทึกเป็น PDF ผ่านเมนูพิมพ์ของเบราว์เซอร์)
+class TimesheetExporter {
+  constructor(db, employeeId) {
+    this.db = db;
+    this.employeeId = employeeId;
+  }
+
+  // options = {from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', type: 'all'|'breaks'|ประเภทใน PUNCH_TYPES, includePhotos}
+  // photoField = 'faceImage' (ภาพเต็มเป็น data URL) หรือ 'photoUrl' (ลิงก์ภาพบน backend สำหรับ XLSX)
+  async collect({from, to, type = 'all', includePhotos = false}, photoField = 'faceImage') {
+    const start = ShiftCalculator.atTime(from, '00:00');
+    const end = ShiftCalculator.atTime(to, '23:59');
+    end.setSeconds(59, 999);
+
+    // ดึงเกินไปอีก 1 วันเพื่อให้ได้การออกงานของกะข้ามเที่ยงคืนในวันสุดท้าย แล้วกรองตามวันทำงาน
+    const fetchEnd = new Date(end);
+    fetchEnd.setDate(fetchEnd.getDate() + 1);
+    const records = (await this.db.getRecordsInRange(start, fetchEnd, this.employeeId))
+      .filter(r => (r.date || toDateKey(r.timestamp)) <= to)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const punches = [];
+    for (const record of records.filter(r => matchesPunchFilter(type, r.type))) {
+      const row = this.toPunchRow(record);
+      if (includePhotos) {
+        row[TimesheetExporter.column('photo')] = photoField === 'photoUrl'
+          ? TimesheetExporter.photoLink(record)
+          : await blobToDataURL(record.faceImage);
+      }
+      punches.push(row);
+    }
+
+    const shift = ShiftCalculator.resolveShift(this.employeeId);
+    const requests = await this.db.getRequests(this.employeeId);
+    const days = [];
+    for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+      const dateKey = toDateKey(d);
+      const dayRecords = records.filter(r => (r.date || toDateKey(r.timestamp)) === dateKey);
+      days.push(this.toDayRow(ShiftCalculator.evaluateDay(dateKey, dayRecords, shift, new Date(), requests)));
+    }
+
+    return {punches, days, totals: TimesheetExporter.totals(days)};
+  }
+
+  // หัวคอลัมน์ตามภาษาที่เลือก (export.column.<key> ใน i18n.js)
+  static column(key) {
+    return t(`export.column.${key}`);
+  }
+
+  toPunchRow(record) {
+    const col = TimesheetExporter.column;
+    const date = new Date(record.timestamp);
+    const row = {
+      [col('date')]: toDateKey(date),
+      [col('time')]: I18n.formatTime(date, {hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false}),
+      [col('type')]: punchLabel(record.type),
+      [col('employeeId')]: record.employeeId || '',
+      [col('latitude')]: record.location ? record.location.latitude : '',
+      [col('longitude')]: record.location ? record.location.longitude : '',
+      [col('accuracy')]: record.location ? Math.round(record.location.accuracy) : '',
+      [col('site')]: record.geofence ? record.geofence.site : '',
+      [col('inZone')]: record.geofence ? t(record.geofence.inZone ? 'export.yes' : 'export.no') : '',
+      [col('detection')]: record.simulation ? `simulation (${record.simulation.policy})` : record.detectionMethod || 'simulation',
+      [col('faceMatch')]: record.faceMatch ? record.faceMatch.score : '',
+      [col('liveness')]: record.liveness ? t(record.liveness.passed ? 'history.pass' : 'history.fail') : '',
+      [col('quality')]: record.quality ? (record.quality.ok ? t('history.pass') : record.quality.issues.join(' ')) : '',
+      [col('deviceTime')]: record.time ? record.time.deviceTime : '',
+      [col('skew')]: record.time ? Math.round(record.time.skewMs / 1000) : '',
+      [col('timezone')]: record.time ? record.time.timezone : ''
+    };
+    return row;
+  }
+
+  toDayRow(summary) {
+    const col = TimesheetExporter.column;
+    const time = (iso) => iso ? I18n.formatTime(iso, {hour: '2-digit', minute: '2-digit', hour12: false}) : '';
+    return {
+      [col('date')]: summary.date,
+      [col('status')]: summary.status,
+      [col('checkIn')]: time(summary.checkIn) + (summary.checkInManual ? t('summary.edited') : ''),
+      [col('checkOut')]: time(summary.checkOut) + (summary.checkOutManual ? t('summary.edited') : ''),
+      [col('leave')]: summary.leave ? t(`leave.${summary.leave}`) : '',
+      [col('break')]: summary.breakMinutes,
+      [col('worked')]: summary.workedMinutes,
+      [col('late')]: summary.lateMinutes,
+      [col('earlyLeave')]: summary.earlyLeaveMinutes,
+      [col('overtime')]: summary.overtimeMinutes
+    };
+  }
+
+  static totals(days) {
+    const col = TimesheetExporter.column;
+    const sum = (key) => days.reduce((total, day) => total + day[col(key)], 0);
+    const count = (status) => days.filter(d => d[col('status')] === status).length;
+    return {
+      [col('completeDays')]: count('complete'),
+      [col('incompleteDays')]: count('incomplete'),
+      [col('absentDays')]: count('absent'),
+      [col('break')]: sum('break'),
+      [col('worked')]: sum('worked'),
+      [col('late')]: sum('late'),
+      [col('earlyLeave')]: sum('earlyLeave'),
+      [col('overtime')]: sum('overtime')
+    };
+  }
+
+  static toCSV(rows) {
+    if (rows.length === 0) return '';
+    const headers = Object.keys(rows[0]);
+    const cell = (value) => {
+      const text = String(value === null || value === undefined ? '' : value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows.map(row => headers.map(h => row[h]))]
+      .map(line => line.map(cell).join(','))
+      .join('\r\n');
+  }
+
+  // ลิงก์ภาพที่ backend ส่งกลับตอน sync (เฉพาะ https) หรือ '' ถ้ายังไม่มี
+  static photoLink(record) {
+    return record.photoUrl && /^https:\/\//.test(record.photoUrl) ? record.photoUrl : '';
+  }
+
+  static download(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async exportCSV(options) {
+    const {punches, days} = await this.collect(options);
+    const name = `timesheet_${options.from}_${options.to}`;
+    // BOM ให้ Excel อ่านภาษาไทย (UTF-8) ได้ถูกต้อง
+    TimesheetExporter.download(`${name}_punches.csv`, new Blob(['\ufeff' + TimesheetExporter.toCSV(punches)], {type: 'text/csv;charset=utf-8'}));
+    TimesheetExporter.download(`${name}_days.csv`, new Blob(['\ufeff' + TimesheetExporter.toCSV(days)], {type: 'text/csv;charset=utf-8'}));
+  }
+
+  async exportXLSX(options) {
+    await loadScript(APP_CONFIG.xlsxLibraryUrl);
+    // เซลล์ Excel ใส่ภาพไม่ได้ คอลัมน์ภาพจึงเป็นลิงก์ไปยังภาพบน backend (รายการที่ยังไม่ sync ดูภาพได้ในหน้าพิมพ์)
+    const {punches, days, totals} = await this.collect(options, 'photoUrl');
+    const photo = TimesheetExporter.column('photo');
+    const links = punches.map(row => row[photo]);
+    punches.forEach(row => {
+      if (photo in row) row[photo] = row[photo] ? t('export.photoLink') : t('export.photoLocalOnly');
+    });
+
+    const workbook = XLSX.utils.book_new();
+    const punchSheet = XLSX.utils.json_to_sheet(punches);
+    if (punches.length > 0 && photo in punches[0]) {
+      const column = Object.keys(punches[0]).indexOf(photo);
+      links.forEach((url, i) => {
+        if (url) punchSheet[XLSX.utils.encode_cell({r: i + 1, c: column})].l = {Target: url};
+      });
+    }
+    XLSX.utils.book_append_sheet(workbook, punchSheet, t('export.sheetPunches'));
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([
+      ...days, {[TimesheetExporter.column('date')]: t('export.total'), ...totals}
+    ]), t('export.sheetDays'));
+    XLSX.writeFile(workbook, `timesheet_${options.from}_${options.to}.xlsx`);
+  }
+
+  async openPrintable(options) {
+    // เปิดหน้าต่างก่อน await เพื่อไม่ให้ถูก popup blocker
+    const win = window.open('', '_blank');
+    if (!win) throw new Error(t('export.popupBlocked'));
+    const {punches, days, totals} = await this.collect(options);
+
+    const table = (rows, photoKey) => {
+      if (rows.length === 0) return `<p>${t('export.noData')}</p>`;
+      const headers = Object.keys(rows[0]);
+      return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${
+        rows.map(row => `<tr>${headers.map(h => h === photoKey && row[h]
+          ? `<td><img src="${escapeHtml(row[h])}" alt="face"></td>`
+          : `<td>${escapeHtml(row[h])}</td>`).join('')}</tr>`).join('')
+      }</tbody></table>`;
+    };
+
+    win.document.write(`<!DOCTYPE html>
+<html lang="${I18n.locale}"><head><meta charset="UTF-8"><title>Timesheet ${escapeHtml(options.from)} - ${escapeHtml(options.to)}</title>
+<style>
+  body { font-family: 'Prompt', 'Inter', sans-serif; font-size: 12px; margin: 24px; color: #111827; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+  th { background: #f3f4f6; }
+  img { width: 48px; height: 48px; object-fit: cover; }
+  .signature { margin-top: 40px; display: flex; justify-content: space-between; }
+  @media print { h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style></head><body>
+<h1>Timesheet</h1>
+<p>${t('export.printRange', {employeeId: escapeHtml(this.employeeId || '-'), from: escapeHtml(options.from), to: escapeHtml(options.to)})}</p>
+<h2>${t('export.printTotals')}</h2>${table([totals])}
+<h2>${t('export.sheetDays')}</h2>${table(days)}
+<h2>${t('export.sheetPunches')}</h2>${table(punches, TimesheetExporter.column('photo'))}
+<div class="signature"><p>${t('export.signEmployee')}</p><p>${t('export.signSupervisor')}</p></div>
+</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  }
+}
+
+// สำรอง/กู้คืนข้อมูลใน IndexedDB (รายการลงเวลาพร้อมภาพ ใบหน้าที่ลงทะเบียน และคำขอ) เป็นไฟล์เดียวที่เข้ารหัสด้วย passphrase
+// ไฟล์ = header {format, version, createdAt, kdf, cipher} + data = AES-GCM(JSON ของข้อมูล) ด้วย key จาก PBKDF2(passphrase, salt)
+// header เป็น additional data ของ AES-GCM จึงแก้ไขไม่ได้โดยไม่ถูกตรวจพบ
+// private key ของเครื่อง export ไม่ได้ ไฟล์จึงมีเฉพาะ public key ให้เครื่องที่กู้คืนตรวจลายเซ็นของรายการเดิม
+class BackupService {
+  static get FORMAT() {
+    return 'kyn-time-hub-backup';
+  }
+
+  static get FORMAT_VERSION() {
+    return 1;
+  }
+
+  // schema ของ AttendanceDB ที่เก่าที่สุดที่กู้คืนได้
+  static get MIN_SCHEMA_VERSION() {
+    return 6;
+  }
+
+  constructor(db, chain) {
+    this.db = db;
+    this.chain = chain;
+  }
+
+  // ถึงเวลาเตือนให้สำรองข้อมูลหรือยัง (lastBackupAt = ISO string หรือ null)
+  static isDue(lastBackupAt, days = APP_CONFIG.backupReminderDays, now = new Date()) {
+    if (!days) return false;
+    return !lastBackupAt || now - new Date(lastBackupAt) > days * 24 * 60 * 60 * 1000;
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey({name: 'PBKDF2', salt, iterations, hash: 'SHA-256'},
+      material, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+  }
+
+  static additionalData(file) {
+    const {format, version, createdAt, kdf, cipher} = file;
+    return new TextEncoder().encode(canonicalJSON({format, version, createdAt, kdf, cipher}));
+  }
+
+  static async encrypt(payload, passphrase, iterations = APP_CONFIG.backupKdfIterations) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const file = {
+      format: BackupService.FORMAT,
+      version: BackupService.FORMAT_VERSION,
+      createdAt: payload.createdAt,
+      kdf: {name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt)},
+      cipher: {name: 'AES-GCM', iv: bytesToBase64(iv)}
+    };
+    const key = await BackupService.deriveKey(passphrase, salt, iterations);
+    const data = await crypto.subtle.encrypt({name: 'AES-GCM', iv, additionalData: BackupService.additionalData(file)},
+      key, new TextEncoder().encode(JSON.stringify(payload)));
+    return {...file, data: bytesToBase64(new Uint8Array(data))};
+  }
+
+  // ตรวจรูปแบบไฟล์ก่อนถอดรหัส throw Error พร้อมข้อความที่แสดงให้ผู้ใช้ได้
+  static validateFile(file) {
+    const valid = file && file.format === BackupService.FORMAT && Number.isInteger(file.version)
+      && typeof file.data === 'string' && file.kdf && file.kdf.name === 'PBKDF2' && Number.isInteger(file.kdf.iterations)
+      && file.cipher && file.cipher.name === 'AES-GCM';
+    if (!valid) throw new Error(t('backup.invalidFile'));
+    if (file.version > BackupService.FORMAT_VERSION) throw new Error(t('backup.newerVersion'));
+  }
+
+  static async decrypt(file, passphrase) {
+    BackupService.validateFile(file);
+    const key = await BackupService.deriveKey(passphrase, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+    let data;
+    try {
+      data = await crypto.subtle.decrypt(
+        {name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv), additionalData: BackupService.additionalData(file)},
+        key, base64ToBytes(file.data));
+    } catch (error) {
+      // AES-GCM แยกไม่ได้ว่า passphrase ผิดหรือไฟล์ถูกแก้ไข
+      throw new Error(t('backup.wrongPassphrase'));
+    }
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  // ตรวจ schema ของข้อมูลที่ถอดรหัสแล้ว schemaVersion = AttendanceDB.version ของเครื่องนี้
+  static validatePayload(payload, schemaVersion) {
+    const stores = payload && payload.stores;
+    if (!stores || !Number.isInteger(payload.schemaVersion)
+      || !['attendance', 'faces', 'requests'].every(name => Array.isArray(stores[name]))) {
+      throw new Error(t('backup.invalidFile'));
+    }
+    if (payload.schemaVersion > schemaVersion) throw new Error(t('backup.newerVersion'));
+    if (payload.schemaVersion < BackupService.MIN_SCHEMA_VERSION) {
+      throw new Error(t('backup.unsupportedSchema', {version: payload.schemaVersion}));
+    }
+    const text = (value) => typeof value === 'string' && value !== '';
+    const valid = stores.attendance.every(r => text(r.employeeId) && text(r.type) && text(r.timestamp) && !isNaN(Date.parse(r.timestamp)))
+      && stores.faces.every(f => text(f.employeeId) && Array.isArray(f.descriptors))
+      && stores.requests.every(r => text(r.employeeId) && text(r.kind) && text(r.createdAt))
+      && Object.values(payload.deviceKeys || {}).every(jwk => jwk && jwk.kty === 'EC');
+    if (!valid) throw new Error(t('backup.invalidFile'));
+  }
+
+  // key ที่ใช้หารายการซ้ำ (รายการเก่าก่อนมี idempotencyKey ใช้ตำแหน่งใน chain หรือเวลา+ประเภท)
+  static recordKey(record) {
+    if (record.idempotencyKey) return record.idempotencyKey;
+    if (record.integrity) return `chain:${record.integrity.deviceId}:${record.integrity.seq}`;
+    return `punch:${record.employeeId}:${record.timestamp}:${record.type}`;
+  }
+
+  static requestKey(request) {
+    return request.idempotencyKey || `request:${request.employeeId}:${request.createdAt}`;
+  }
+
+  // เนื้อหาที่ใช้เทียบรายการ key เดียวกัน (ไม่รวมสถานะ sync/ผลอนุมัติ/ภาพ ที่เปลี่ยนได้ตามปกติ)
+  static recordContent(record) {
+    return canonicalJSON(IntegrityChain.canonicalFields(record));
+  }
+
+  static requestContent({kind, employeeId, reason, createdAt, correction, leave}) {
+    return canonicalJSON({kind, employeeId, reason, createdAt, correction, leave});
+  }
+
+  static faceContent(profile) {
+    return canonicalJSON(profile.descriptors);
+  }
+
+  // เทียบรายการในไฟล์กับในเครื่อง คืนค่า {added, duplicates, conflicts: [{local, incoming}]}
+  // key ตรงกันแต่เนื้อหาต่างกันถือเป็น conflict และเก็บของในเครื่องไว้
+  static plan(localItems, incomingItems, keyOf, contentOf) {
+    const known = new Map(localItems.map(item => [keyOf(item), item]));
+    const result = {added: [], duplicates: 0, conflicts: []};
+    for (const item of incomingItems) {
+      const existing = known.get(keyOf(item));
+      if (!existing) {
+        result.added.push(item);
+        known.set(keyOf(item), item);
+      } else if (contentOf(existing) === contentOf(item)) {
+        result.duplicates++;
+      } else {
+        result.conflicts.push({local: existing, incoming: item});
+      }
+    }
+    return result;
+  }
+
+  // Blob (ภาพใบหน้า) เก็บในไฟล์เป็น {$blob: data URL}
+  static async encodeItem(item) {
+    const encoded = {...item};
+    for (const [key, value] of Object.entries(item)) {
+      if (value instanceof Blob) encoded[key] = {$blob: await blobToDataURL(value)};
+    }
+    return encoded;
+  }
+
+  static decodeItem(item) {
+    const decoded = {...item};
+    for (const [key, value] of Object.entries(item)) {
+      if (value && typeof value.$blob === 'string') decoded[key] = dataURLToBlob(value.$blob);
+    }
+    return decoded;
+  }
+
+  // คืนค่า {blob, createdAt, count} blob = ไฟล์สำรองที่เข้ารหัสแล้ว
+  async create(passphrase) {
+    const [records, faces, requests] = await Promise.all([
+      this.db.getAllRecords(), this.db.getAllFaceProfiles(), this.db.getAllRequests()]);
+    const payload = {
+      schemaVersion: this.db.version,
+      createdAt: new Date().toISOString(),
+      deviceKeys: await this.chain.publicKeys(),
+      stores: {
+        attendance: await Promise.all(records.map(BackupService.encodeItem)),
+        faces: await Promise.all(faces.map(BackupService.encodeItem)),
+        requests: await Promise.all(requests.map(BackupService.encodeItem))
+      }
+    };
+    const file = await BackupService.encrypt(payload, passphrase);
+    return {
+      blob: new Blob([JSON.stringify(file)], {type: 'application/json'}),
+      createdAt: payload.createdAt,
+      count: records.length
+    };
+  }
+
+  // รวมข้อมูลจากไฟล์เข้ากับในเครื่องโดยไม่ซ้ำ คืนค่า {records, faces, requests} แต่ละอันเป็นผลของ plan()
+  async restore(file, passphrase) {
+    const payload = await BackupService.decrypt(file, passphrase);
+    BackupService.validatePayload(payload, this.db.version);
+    const [records, faces, requests] = await Promise.all([
+      this.db.getAllRecords(), this.db.getAllFaceProfiles(), this.db.getAllRequests()]);
+    const result = {
+      records: BackupService.plan(records, payload.stores.attendance, BackupService.recordKey, BackupService.recordContent),
+      faces: BackupService.plan(faces, payload.stores.faces, profile => profile.employeeId, BackupService.faceContent),
+      requests: BackupService.plan(requests, payload.stores.requests, BackupService.requestKey, BackupService.requestContent)
+    };
+
+    // รายการในไฟล์เรียงตาม id เดิมอยู่แล้ว เพิ่มตามลำดับนั้นเพื่อให้ chain ของเครื่องเดิมยังเรียงตาม seq
+    const restoredAt = new Date().toISOString();
+    const withoutId = ({id, ...item}) => item;
+    const trusted = {...(await this.db.getMeta('trustedDeviceKeys') || {}), ...(payload.deviceKeys || {})};
+    await this.db.importBackup({
+      records: result.records.added.map(record => ({...withoutId(BackupService.decodeItem(record)), restoredAt})),
+      faces: result.faces.added.map(BackupService.decodeItem),
+      requests: result.requests.added.map(request => withoutId(BackupService.decodeItem(request)))
+    }, [{key: 'trustedDeviceKeys', value: trusted}]);
+    return result;
+  }
+}
+
+class AttendanceSystem {
+  constructor() {
+    this.video = document.getElementById('video');
+    this.faceOverlay = document.getElementById('faceOverlay');
+    this.startCameraBtn = document.getElementById('startCamera');
+    this.checkInBtn = document.getElementById('checkInBtn');
+    this.checkOutBtn = document.getElementById('checkOutBtn');
+    this.punchButtons = {
+      'check-in': this.checkInBtn,
+      'check-out': this.checkOutBtn,
+      'break-start': document.getElementById('breakStartBtn'),
+      'break-end': document.getElementById('breakEndBtn')
+    };
+    this.enrollFaceBtn = document.getElementById('enrollFaceBtn');
+    this.loadingIndicator = document.getElementById('loadingIndicator');
+    this.alertContainer = document.getElementById('alertContainer');
+
+    this.currentLocation = null;
+    this.isFaceDetected = false;
+    this.isCheckedIn = false;
+    this.detectionLoop = null;
+    this.detector = FaceDetector.create();
+    this.faceApiLoaded = false;
+    this.detectionFailures = 0;
+    // โหมด kiosk ไม่ใช้ session ส่วนตัว พนักงานแต่ละคนยืนยันตัวตนเองก่อนลงเวลา
+    this.kiosk = KioskMode.enabled ? new KioskMode(this) : null;
+    this.requests = [];
+    this.session = this.kiosk ? null : Session.current();
+    this.employeeId = this.session ? this.session.employeeId : null;
+    this.faceProfile = null;
+    this.livenessChallenge = null;
+    this.livenessResult = null;
+    this.livenessFailures = 0;
+    this.landmarkRecording = [];
+
+    this.snapshotCanvas = document.getElementById('snapshotCanvas');
+    this.qualityCanvas = document.createElement('canvas');
+    this.db = new AttendanceDB();
+    this.sync = new SyncService(this.db, () => this.onSyncChange());
+    this.chain = new IntegrityChain(this.db);
+    this.clock = new TrustedClock();
+    // เครื่อง kiosk ใช้ร่วมกันหลายคน บัญชี LINE บนเครื่องไม่ใช่ของพนักงานที่ลงเวลา
+    this.line = this.kiosk ? null : new LineLiff();
+    this.db.open().then(() => {
+      this.init();
+    });
+  }
+
+  init() {
+    const modelsReady = this.loadFaceApiModels();
+    this.updateDateTime();
+    this.updateNetworkStatus();
     this.getCurrentLocation();
-    this.checkTodayStatus();
+    if (this.kiosk) {
+      this.kiosk.init(modelsReady);
+    } else {
+      this.showSessionInfo();
+      this.loadRequests().then(() => this.updateDailySummary());
+      this.loadAttendanceHistory();
+      this.checkTodayStatus();
+      this.loadFaceProfile();
+      this.verifyIntegrity();
+      this.checkLineAccount();
+      this.updateBackupStatus(true);
+    }
+    this.updateSyncStatus();
+    this.sync.start();
+    this.clock.sync();
+    this.applyPhotoRetention();
 
     // Event listeners
     this.startCameraBtn.addEventListener('click', () => this.startCamera());
-    this.checkInBtn.addEventListener('click', () => this.checkIn());
-    this.checkOutBtn.addEventListener('click', () => this.checkOut());
+    Object.entries(this.punchButtons).forEach(([type, btn]) => btn.addEventListener('click', () => this.punch(type)));
+    this.enrollFaceBtn.addEventListener('click', () => this.enrollFace());
+    document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+    this.initExportPanel();
+    this.initBackupPanel();
+    this.initHistoryViews();
+    this.initRequestForm();
+    this.initDetectorSelect();
+    this.registerServiceWorker();
+    I18n.onChange(() => this.onLocaleChange());
 
     // Network status listeners
     window.addEventListener('online', () => {
       this.updateNetworkStatus();
+      this.sync.syncNow(true);
+      this.clock.sync();
       if (!this.faceApiLoaded) {
-        this.showAlert('กลับมาออนไลน์แล้ว กำลังโหลด Face Detection ใหม่...', 'info');
+        this.showAlert(t('network.backOnline'), 'info');
         this.loadFaceApiModels();
       }
     });
 
-    window.addEventListener('offline', () => {
-      this.updateNetworkStatus();
-      this.showAlert('หลุดการเชื่อมต่อ internet จะใช้โหมดจำลอง', 'warning');
-    });
+    window.addEventListener('offline', () => {
+      this.updateNetworkStatus();
+      const key = this.faceApiLoaded ? 'network.lostQueued' : SimulationPolicy.allowed ? 'network.lostSimulation' : 'network.lostNoFace';
+      this.showAlert(t(key), 'warning');
+    });
+
+    // Update time every second
+    setInterval(() => this.updateDateTime(), 1000);
+
+    // เทียบเวลากับ backend เป็นระยะ และทุกครั้งที่กลับมาเปิดแอป (เครื่องอาจ sleep ไป)
+    setInterval(() => this.clock.sync(), APP_CONFIG.timeSyncIntervalMs);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.clock.sync();
+    });
+
+    // Check geolocation every 5 minutes
+    setInterval(() => this.getCurrentLocation(), 300000);
+
+    // Check session expiry every minute
+    setInterval(() => this.checkSession(), 60000);
+  }
+
+  // เปลี่ยนภาษา: ข้อความใน HTML แปลแล้วโดย I18n.apply() ส่วนที่สคริปต์สร้างขึ้นต้องวาดใหม่
+  onLocaleChange() {
+    this.updateDateTime();
+    this.updateNetworkStatus();
+    this.updateSyncStatus();
+    this.getCurrentLocation();
+    this.renderLeaveTypes();
+    if (this.video.srcObject) this.startCameraBtn.textContent = t('camera.started');
+    if (this.kiosk) {
+      document.getElementById('employeeName').textContent = t('kiosk.modeName');
+      return;
+    }
+    this.showSessionInfo();
+    this.checkTodayStatus();
+    this.updateDailySummary();
+    this.renderRequests();
+    this.loadAttendanceHistory();
+    this.verifyIntegrity();
+    this.renderCalendar();
+    this.updateBackupStatus();
+  }
+
+  showSessionInfo() {
+    document.getElementById('employeeName').textContent = `${this.session.name} (${this.employeeId})`;
+    // หัวหน้างานเข้าแดชบอร์ดทีมได้ (backend ตรวจสิทธิ์ซ้ำอีกครั้ง)
+    document.getElementById('dashboardLink').style.display =
+      ['supervisor', 'admin'].includes(this.session.role) ? '' : 'none';
+  }
+
+  async checkLineAccount() {
+    if (await this.line.init(this.session.lineUserId) === 'mismatch') {
+      this.showAlert(t('identity.lineMismatch'), 'error');
+    }
+  }
+
+  // ส่งหลังรอบ sync ของรายการนี้ เพื่อให้มี photoUrl จาก backend แนบไปด้วยถ้าส่งขึ้นได้ทัน
+  async sendLineConfirmation(id, synced) {
+    if (!this.line.canSendMessages) return;
+    try {
+      await synced;
+      await this.line.sendConfirmation(await this.db.getRecord(id));
+    } catch (error) {
+      console.warn('LINE confirmation failed:', error);
+    }
+  }
+
+  checkSession() {
+    if (this.kiosk || Session.current()) return;
+    this.stopCamera();
+    alert(t('app.sessionExpired'));
+    Session.redirectToLogin();
+  }
+
+  logout() {
+    if (!confirm(t('app.logoutConfirm'))) return;
+    this.stopCamera();
+    Session.clear();
+    Session.redirectToLogin();
+  }
+
+  // ปิดกล้องและหยุด detection loop คืนหน้าจอให้พร้อมเปิดกล้องใหม่
+  stopCamera() {
+    if (this.detectionLoop) this.detectionLoop.stop();
+    this.detectionLoop = null;
+    const stream = this.video.srcObject;
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    this.video.srcObject = null;
+    this.isFaceDetected = false;
+    this.lastFaceBox = null;
+    this.lastLandmarks = null;
+    this.resetLiveness();
+    this.hideFaceBox();
+    this.setPunchEnabled(false);
+    this.startCameraBtn.disabled = false;
+    this.startCameraBtn.textContent = t('camera.start');
+    this.enrollFaceBtn.disabled = true;
+    document.getElementById('simulationPin').style.display = 'none';
+  }
+
+  // สลับแท็บประวัติระหว่างมุมมองรายการและปฏิทินรายเดือน
+  initHistoryViews() {
+    const now = new Date();
+    this.calendarMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        const isCalendar = btn.getAttribute('data-view') === 'calendar';
+        document.getElementById('attendanceCalendar').style.display = isCalendar ? '' : 'none';
+        document.getElementById('attendanceHistory').style.display = isCalendar ? 'none' : '';
+        document.querySelector('.history-tabs').style.display = isCalendar ? 'none' : '';
+        if (isCalendar) this.renderCalendar();
+      });
+    });
+    document.getElementById('verifyIntegrityBtn').addEventListener('click', () => this.verifyIntegrity());
+    document.getElementById('calendarPrev').addEventListener('click', () => this.shiftCalendarMonth(-1));
+    document.getElementById('calendarNext').addEventListener('click', () => this.shiftCalendarMonth(1));
+  }
+
+  shiftCalendarMonth(delta) {
+    this.calendarMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + delta, 1);
+    this.renderCalendar();
+  }
+
+  // สีของวันในปฏิทิน: complete, incomplete, none (ไม่มีการลงเวลา), weekend
+  static calendarDayClass(summary, hasPunches) {
+    if (summary.status === 'leave') return 'leave';
+    if (!hasPunches) return summary.isWorkingDay ? 'none' : 'weekend';
+    return summary.status === 'complete' ? 'complete' : 'incomplete';
+  }
+
+  async renderCalendar() {
+    const month = this.calendarMonth;
+    const first = new Date(month.getFullYear(), month.getMonth(), 1);
+    const last = new Date(month.getFullYear(), month.getMonth() + 1, 0, 23, 59, 59, 999);
+    document.getElementById('calendarTitle').textContent =
+      I18n.formatDate(first, {month: 'long', year: 'numeric'});
+
+    let records = [];
+    try {
+      // รวมวันถัดไปด้วย เพื่อให้ได้การออกงานของกะข้ามเที่ยงคืนในวันสุดท้ายของเดือน
+      records = await this.db.getRecordsInRange(first, new Date(last.getTime() + 86400000), this.employeeId);
+    } catch (e) {
+      console.error('Calendar loading error:', e);
+    }
+    // ผู้ใช้เปลี่ยนเดือนระหว่างรอผล
+    if (month !== this.calendarMonth) return;
+
+    const byDate = new Map();
+    records.forEach(r => {
+      const key = r.date || toDateKey(r.timestamp);
+      if (!byDate.has(key)) byDate.set(key, []);
+      byDate.get(key).push(r);
+    });
+
+    const grid = document.getElementById('calendarGrid');
+    grid.innerHTML = '';
+    // ชื่อวันตามภาษาที่เลือก เริ่มจากวันอาทิตย์ (7 ม.ค. 2024 เป็นวันอาทิตย์)
+    for (let i = 0; i < 7; i++) {
+      const cell = document.createElement('div');
+      cell.className = 'calendar-weekday';
+      cell.textContent = I18n.formatDate(new Date(2024, 0, 7 + i), {weekday: 'short'});
+      grid.appendChild(cell);
+    }
+    for (let i = 0; i < first.getDay(); i++) {
+      grid.appendChild(document.createElement('div'));
+    }
+
+    const shift = ShiftCalculator.resolveShift(this.employeeId);
+    const todayKey = toDateKey(new Date());
+    for (let day = 1; day <= last.getDate(); day++) {
+      const dateKey = toDateKey(new Date(month.getFullYear(), month.getMonth(), day));
+      const dayRecords = byDate.get(dateKey) || [];
+      const summary = ShiftCalculator.evaluateDay(dateKey, dayRecords, shift, new Date(), this.requests);
+
+      const cell = document.createElement('button');
+      const hasPunches = dayRecords.length > 0 || summary.checkInManual || summary.checkOutManual;
+      cell.className = `calendar-day ${AttendanceSystem.calendarDayClass(summary, hasPunches)}`;
+      if (dateKey === todayKey) cell.classList.add('today');
+      cell.textContent = day;
+      cell.title = this.formatDayStatus(summary.status);
+      cell.addEventListener('click', () => {
+        grid.querySelectorAll('.calendar-day.selected').forEach(c => c.classList.remove('selected'));
+        cell.classList.add('selected');
+        this.renderCalendarDay(dateKey, dayRecords, summary);
+      });
+      grid.appendChild(cell);
+    }
+    document.getElementById('calendarDayDetail').innerHTML = '';
+  }
+
+  async renderCalendarDay(dateKey, dayRecords, summary) {
+    const detail = document.getElementById('calendarDayDetail');
+    const title = I18n.formatDate(ShiftCalculator.atTime(dateKey, '00:00'), {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+    detail.innerHTML = `<h4 class="calendar-day-title">${title} — ${this.formatDayStatus(summary.status)}</h4>`;
+    if (summary.leave) {
+      detail.innerHTML += `<p class="manual-note">${t('calendar.leaveApproved', {leave: t(`leave.${summary.leave}`)})}</p>`;
+    }
+    ShiftCalculator.correctionPunches(dateKey, this.requests, ShiftCalculator.resolveShift(this.employeeId))
+      .forEach(punch => {
+        const time = I18n.formatTime(punch.timestamp);
+        detail.innerHTML += `<p class="manual-note">${t('calendar.manualPunch', {type: punchLabel(punch.type), time})}</p>`;
+      });
+
+    if (dayRecords.length === 0) {
+      detail.innerHTML += `<div class="empty-state"><p>${t('calendar.empty')}</p></div>`;
+      return;
+    }
+    await this.loadDaySummaries(dayRecords);
+    [...dayRecords]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .forEach(record => detail.appendChild(this.renderHistoryItem(record, true)));
+  }
+
+  // ลบภาพใบหน้าที่เก่ากว่า APP_CONFIG.photoRetentionDays ทุกครั้งที่เปิดแอป
+  async applyPhotoRetention() {
+    if (!APP_CONFIG.photoRetentionDays) return;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - APP_CONFIG.photoRetentionDays);
+    try {
+      const {count, bytes} = await this.db.purgePhotosBefore(cutoff);
+      if (count > 0) {
+        this.showAlert(t('history.photoPurged', {days: APP_CONFIG.photoRetentionDays, count, size: formatBytes(bytes)}), 'info');
+        if (!this.kiosk) this.loadAttendanceHistory();
+      }
+    } catch (error) {
+      console.error('Photo retention error:', error);
+    }
+  }
+
+  initRequestForm() {
+    const kind = document.getElementById('requestKind');
+    const toggleFields = () => {
+      document.getElementById('correctionFields').style.display = kind.value === 'correction' ? '' : 'none';
+      document.getElementById('leaveFields').style.display = kind.value === 'leave' ? '' : 'none';
+    };
+    kind.addEventListener('change', toggleFields);
+    toggleFields();
+
+    this.renderLeaveTypes();
+    const today = toDateKey(new Date());
+    ['correctionDate', 'leaveFrom', 'leaveTo'].forEach(id => { document.getElementById(id).value = today; });
+    document.getElementById('correctionDate').max = today;
+    document.getElementById('submitRequestBtn').addEventListener('click', () => this.submitRequest());
+  }
+
+  renderLeaveTypes() {
+    const leaveType = document.getElementById('leaveType');
+    const selected = leaveType.value;
+    leaveType.innerHTML = '';
+    APP_CONFIG.leaveTypes.forEach(value => leaveType.add(new Option(t(`leave.${value}`), value)));
+    if (selected) leaveType.value = selected;
+  }
+
+  async loadRequests() {
+    try {
+      this.requests = await this.db.getRequests(this.employeeId);
+    } catch (e) {
+      this.requests = [];
+    }
+    this.renderRequests();
+  }
+
+  async submitRequest() {
+    const kind = document.getElementById('requestKind').value;
+    const reason = document.getElementById('requestReason').value.trim();
+    const request = {
+      kind,
+      employeeId: this.employeeId,
+      reason,
+      status: 'pending',
+      createdAt: this.clock.date().toISOString(),
+      syncStatus: 'pending',
+      idempotencyKey: generateId()
+    };
+
+    if (kind === 'correction') {
+      request.correction = {
+        date: document.getElementById('correctionDate').value,
+        punchType: document.getElementById('correctionType').value,
+        time: document.getElementById('correctionTime').value
+      };
+      if (!request.correction.date || !request.correction.time || request.correction.date > toDateKey(new Date())) {
+        this.showAlert(t('request.invalidCorrection'), 'warning');
+        return;
+      }
+    } else {
+      request.leave = {
+        leaveType: document.getElementById('leaveType').value,
+        from: document.getElementById('leaveFrom').value,
+        to: document.getElementById('leaveTo').value
+      };
+      if (!request.leave.from || !request.leave.to || request.leave.from > request.leave.to) {
+        this.showAlert(t('request.invalidLeave'), 'warning');
+        return;
+      }
+    }
+    if (!reason) {
+      this.showAlert(t('request.needReason'), 'warning');
+      return;
+    }
+
+    try {
+      await this.db.addRequest(request);
+    } catch (error) {
+      console.error('Request save error:', error);
+      this.showAlert(t('request.saveFailed'), 'error');
+      return;
+    }
+    document.getElementById('requestReason').value = '';
+    this.showAlert(t('request.sent'), 'success');
+    await this.loadRequests();
+    this.sync.syncNow();
+  }
+
+  renderRequests() {
+    const list = document.getElementById('requestList');
+    if (!list) return;
+    if (this.requests.length === 0) {
+      list.innerHTML = `<div class="empty-state"><p>${t('request.empty')}</p></div>`;
+      return;
+    }
+    list.innerHTML = this.requests.map(request => `
+      <div class="request-item">
+        <h4>${this.formatRequestTitle(request)} ${this.renderRequestStatus(request)} ${this.renderSyncBadge(request)}</h4>
+        <p><strong>${t('request.reasonLabel')}</strong> ${escapeHtml(request.reason)}</p>
+        <p><strong>${t('request.submittedAt')}</strong> ${I18n.formatDateTime(request.createdAt)}</p>
+        ${request.reviewNote ? `<p><strong>${t('request.reviewNote')}</strong> ${escapeHtml(request.reviewNote)}</p>` : ''}
+      </div>
+    `).join('');
+  }
+
+  formatRequestTitle(request) {
+    const date = (dateKey) => I18n.formatDate(ShiftCalculator.atTime(dateKey, '00:00'), {
+      year: 'numeric', month: 'short', day: 'numeric'
+    });
+    if (request.kind === 'correction') {
+      const {date: day, punchType, time} = request.correction;
+      return t('request.correctionTitle', {type: punchLabel(punchType), date: date(day), time});
+    }
+    const {leaveType, from, to} = request.leave;
+    return `${t(`leave.${leaveType}`)} ${date(from)}${from !== to ? ` - ${date(to)}` : ''}`;
+  }
+
+  renderRequestStatus(request) {
+    return `<span class="request-status ${request.status}">${t(`request.${request.status}`)}</span>`;
+  }
+
+  // ตรวจ hash chain/signature ของทุกรายการในเครื่อง แสดงผลในแท็บประวัติและทำเครื่องหมายรายการที่ผิดปกติ
+  async verifyIntegrity() {
+    const status = document.getElementById('integrityStatus');
+    status.className = 'integrity-status';
+    status.textContent = t('integrity.checking');
+    let result;
+    try {
+      result = await this.chain.verify();
+    } catch (error) {
+      console.error('Integrity verification error:', error);
+      status.classList.add('warning');
+      status.textContent = t('integrity.failed');
+      return;
+    }
+
+    this.integrityIssues = new Map();
+    result.issues.filter(issue => issue.id !== null).forEach(issue => {
+      this.integrityIssues.set(issue.id, [...(this.integrityIssues.get(issue.id) || []), issue.kind]);
+    });
+
+    const unsigned = result.unsigned > 0 ? t('integrity.unsigned', {count: result.unsigned}) : '';
+    if (result.ok) {
+      status.classList.add('ok');
+      status.textContent = t('integrity.ok', {count: result.checked, unsigned});
+    } else {
+      status.classList.add('tampered');
+      status.innerHTML = `${t('integrity.tampered', {count: result.issues.length, unsigned})}<ul>${
+        result.issues.map(issue => `<li>${t('integrity.issue', {
+          record: issue.id !== null ? t('integrity.issueRecord', {id: issue.id}) : '',
+          seq: issue.seq,
+          kind: this.formatIntegrityIssue(issue.kind)
+        })}</li>`).join('')
+      }</ul>`;
+    }
+
+    document.querySelectorAll('#attendanceHistory .history-item').forEach(item => {
+      const badge = item.querySelector('.integrity-badge');
+      if (badge) badge.outerHTML = this.renderIntegrityBadge({id: Number(item.dataset.id)});
+    });
+  }
+
+  formatIntegrityIssue(kind) {
+    const kinds = ['edited', 'signature', 'photo', 'gap', 'reordered', 'broken', 'truncated', 'key'];
+    return kinds.includes(kind) ? t(`integrity.${kind}`) : kind;
+  }
+
+  renderIntegrityBadge(record) {
+    const kinds = this.integrityIssues && this.integrityIssues.get(record.id);
+    if (!kinds) return '<span class="integrity-badge"></span>';
+    return `<span class="integrity-badge tampered" title="${kinds.map(kind => this.formatIntegrityIssue(kind)).join(', ')}">${t('integrity.badge')}</span>`;
+  }
+
+  initExportPanel() {
+    const today = new Date();
+    document.getElementById('exportFrom').value = toDateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+    document.getElementById('exportTo').value = toDateKey(today);
+    document.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportTimesheet(btn.getAttribute('data-export')));
+    });
+  }
+
+  async exportTimesheet(format) {
+    const options = {
+      from: document.getElementById('exportFrom').value,
+      to: document.getElementById('exportTo').value,
+      type: document.getElementById('exportType').value,
+      includePhotos: document.getElementById('exportPhotos').checked
+    };
+    if (!options.from || !options.to || options.from > options.to) {
+      this.showAlert(t('export.invalidRange'), 'warning');
+      return;
+    }
+
+    const exporter = new TimesheetExporter(this.db, this.employeeId);
+    try {
+      if (format === 'csv') await exporter.exportCSV(options);
+      if (format === 'xlsx') await exporter.exportXLSX(options);
+      if (format === 'print') await exporter.openPrintable(options);
+    } catch (error) {
+      console.error('Export error:', error);
+      this.showAlert(t('export.failed', {error: error.message}), 'error');
+    }
+  }
+
+  initBackupPanel() {
+    document.getElementById('createBackupBtn').addEventListener('click', () => this.createBackup());
+    document.getElementById('restoreBackupBtn').addEventListener('click', () => this.restoreBackup());
+  }
+
+  // แสดงวันที่สำรองข้อมูลล่าสุด remind = true เตือนเมื่อไม่ได้สำรองนานเกิน APP_CONFIG.backupReminderDays
+  async updateBackupStatus(remind = false) {
+    try {
+      const lastBackupAt = await this.db.getMeta('lastBackupAt');
+      document.getElementById('backupStatus').textContent = lastBackupAt
+        ? t('backup.last', {date: I18n.formatDateTime(lastBackupAt)})
+        : t('backup.never');
+      if (!remind || !BackupService.isDue(lastBackupAt)) return;
+      // ยังไม่มีข้อมูลให้สำรอง
+      const {records} = await this.db.getRecordsPage({limit: 1});
+      if (records.length > 0) this.showAlert(t('backup.reminder', {days: APP_CONFIG.backupReminderDays}), 'warning');
+    } catch (error) {
+      console.error('Backup status error:', error);
+    }
+  }
+
+  clearBackupForm() {
+    document.getElementById('backupPassphrase').value = '';
+    document.getElementById('backupPassphraseConfirm').value = '';
+    document.getElementById('restoreFile').value = '';
+  }
+
+  async createBackup() {
+    const passphrase = document.getElementById('backupPassphrase').value;
+    if (passphrase.length < APP_CONFIG.backupMinPassphraseLength) {
+      this.showAlert(t('backup.passphraseTooShort', {length: APP_CONFIG.backupMinPassphraseLength}), 'warning');
+      return;
+    }
+    if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+      this.showAlert(t('backup.passphraseMismatch'), 'warning');
+      return;
+    }
+
+    this.showLoading(true);
+    try {
+      const {blob, createdAt, count} = await new BackupService(this.db, this.chain).create(passphrase);
+      TimesheetExporter.download(`kyn-time-hub-backup_${toDateKey(createdAt)}.json`, blob);
+      await this.db.setMeta('lastBackupAt', createdAt);
+      this.clearBackupForm();
+      this.updateBackupStatus();
+      this.showAlert(t('backup.created', {count}), 'success');
+    } catch (error) {
+      console.error('Backup error:', error);
+      this.showAlert(t('backup.failed', {error: error.message}), 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  async restoreBackup() {
+    const [backupFile] = document.getElementById('restoreFile').files;
+    const passphrase = document.getElementById('backupPassphrase').value;
+    if (!backupFile) {
+      this.showAlert(t('backup.chooseFile'), 'warning');
+      return;
+    }
+    if (!passphrase) {
+      this.showAlert(t('backup.needPassphrase'), 'warning');
+      return;
+    }
+
+    this.showLoading(true);
+    try {
+      let file;
+      try {
+        file = JSON.parse(await backupFile.text());
+      } catch (e) {
+        throw new Error(t('backup.invalidFile'));
+      }
+      const result = await new BackupService(this.db, this.chain).restore(file, passphrase);
+      const stores = Object.values(result);
+      const added = stores.reduce((sum, r) => sum + r.added.length, 0);
+      const duplicates = stores.reduce((sum, r) => sum + r.duplicates, 0);
+      const conflicts = stores.reduce((sum, r) => sum + r.conflicts.length, 0);
+      this.clearBackupForm();
+      this.renderRestoreConflicts(result);
+      this.showAlert(t('backup.restored', {added, duplicates, conflicts}), conflicts > 0 ? 'warning' : 'success');
+
+      this.updateSyncStatus();
+      if (!this.kiosk) {
+        this.loadFaceProfile();
+        this.loadRequests().then(() => this.updateDailySummary());
+        this.loadAttendanceHistory();
+        this.checkTodayStatus();
+        this.verifyIntegrity();
+        this.renderCalendar();
+      }
+    } catch (error) {
+      console.error('Restore error:', error);
+      this.showAlert(t('backup.restoreFailed', {error: error.message}), 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  // รายการที่ key ตรงกับในเครื่องแต่เนื้อหาต่างกัน (เก็บของในเครื่องไว้ ไม่ได้นำเข้า)
+  renderRestoreConflicts(result) {
+    const lines = [
+      ...result.records.conflicts.map(({local}) =>
+        t('backup.conflictRecord', {type: punchLabel(local.type), time: I18n.formatDateTime(local.timestamp)})),
+      ...result.faces.conflicts.map(({local}) => t('backup.conflictFace', {employeeId: local.employeeId})),
+      ...result.requests.conflicts.map(({local}) =>
+        t('backup.conflictRequest', {kind: t(local.kind === 'leave' ? 'request.kindLeave' : 'request.kindCorrection'), time: I18n.formatDateTime(local.createdAt)}))
+    ];
+    document.getElementById('backupConflicts').innerHTML = lines.length === 0 ? '' : `
+      <p>${t('backup.conflictsHeading', {count: lines.length})}</p>
+      <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    `;
+  }
+
+  // PWA: ติดตั้ง service worker (sw.js) และแจ้งเมื่อมีเวอร์ชันใหม่รอติดตั้ง
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const registration = await navigator.serviceWorker.register('sw.js');
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.showUpdatePrompt(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          // มี controller อยู่แล้วแปลว่าเป็นการอัปเดต ไม่ใช่การติดตั้งครั้งแรก
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(worker);
+          }
+        });
+      });
+
+      let reloading = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+      });
+    } catch (error) {
+      console.error('Service worker registration error:', error);
+    }
+  }
+
+  showUpdatePrompt(worker) {
+    const banner = document.getElementById('updateBanner');
+    banner.style.display = '';
+    document.getElementById('updateAppBtn').onclick = () => {
+      banner.style.display = 'none';
+      worker.postMessage({type: 'SKIP_WAITING'});
+    };
+  }
+
+  // ตัวตรวจจับที่เลือกไว้ในเครื่องนี้ (ถ้าไม่ได้เลือกใช้ค่าจาก APP_CONFIG)
+  get faceDetector() {
+    return localStorage.getItem('faceDetector') || APP_CONFIG.faceDetector;
+  }
 
-    // Update time every second
-    setInterval(() => this.updateDateTime(), 1000);
+  detectorOptions() {
+    return FaceDetector.detectorOptions(this.faceDetector);
+  }
 
-    // Check geolocation every 5 minutes
-    setInterval(() => this.getCurrentLocation(), 300000);
+  initDetectorSelect() {
+    const select = document.getElementById('detectorSelect');
+    select.value = this.faceDetector;
+    select.addEventListener('change', () => {
+      localStorage.setItem('faceDetector', select.value);
+      // โหลดหน้าใหม่เพื่อเริ่ม detection loop กับ model ใหม่ตั้งแต่ต้น
+      location.reload();
+    });
+  }
+
+  updateModelProgress(key, percent, source) {
+    const list = document.getElementById('modelProgress');
+    let row = list.querySelector(`[data-model="${key}"]`);
+    if (!row) {
+      row = document.createElement('li');
+      row.dataset.model = key;
+      list.appendChild(row);
+    }
+    const from = source ? ` (${source.startsWith('.') ? t('model.local') : new URL(source).hostname})` : '';
+    row.textContent = `${ModelLoader.MODELS[key].label}: ${percent}%${from}`;
+    row.classList.toggle('done', percent === 100);
   }
 
   async loadFaceApiModels() {
     try {
       this.showLoading(true);
+      document.getElementById('modelProgress').innerHTML = '';
+      this.updateFaceStatus(t('model.loading'));
 
-      // Check network connection first
-      if (!this.checkNetworkConnection()) {
-        throw new Error('ไม่มีการเชื่อมต่อ internet');
-      }
-
-      this.updateFaceStatus('กำลังโหลด Face Detection จาก CDN...');
-
-      // Try multiple CDN sources for better reliability
-      const modelSources = [
-        'https://raw.githubusercontent.com/justadudewhohacks/face-api.js/master/weights',
-        'https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@master/weights'
-      ];
-
-      let modelsLoaded = false;
-      for (const source of modelSources) {
-        try {
-          this.updateFaceStatus(`กำลังโหลด SSD MobileNet จาก ${source.includes('github') ? 'GitHub' : 'JSDelivr'}...`);
-          await faceapi.nets.ssdMobilenetv1.loadFromUri(source);
-
-          this.updateFaceStatus(`กำลังโหลด Face Landmarks จาก ${source.includes('github') ? 'GitHub' : 'JSDelivr'}...`);
-          await faceapi.nets.faceLandmark68Net.loadFromUri(source);
-
-          modelsLoaded = true;
-          break;
-        } catch (sourceError) {
-          console.warn(`Failed to load from ${source}:`, sourceError);
-          if (source === modelSources[modelSources.length - 1]) {
-            throw sourceError; // Throw the last error if all sources fail
-          }
-        }
-      }
-
-      if (!modelsLoaded) {
-        throw new Error('ไม่สามารถโหลด models จาก CDN ใดๆ ได้');
+      // weights ที่เคยโหลดแล้วอยู่ใน Cache API จึงโหลดได้แม้ออฟไลน์
+      const loader = new ModelLoader((key, percent, source) => {
+        this.updateModelProgress(key, percent, source);
+        this.updateFaceStatus(t('model.loadingModel', {model: ModelLoader.MODELS[key].label, percent}));
+      });
+      try {
+        await loader.loadAll(this.faceDetector, this.detector);
+      } catch (error) {
+        if (!error.workerFailed) throw error;
+        // worker ใช้ไม่ได้ในเบราว์เซอร์นี้ ตรวจบน main thread แทน
+        console.warn('Face worker unavailable, using main thread:', error);
+        this.detector.terminate();
+        this.detector = new FaceDetector();
+        await loader.loadAll(this.faceDetector, this.detector);
       }
 
       this.faceApiLoaded = true;
-      this.updateFaceStatus('Face Detection พร้อมใช้งาน');
-      this.showAlert('โหลด Face Detection สำเร็จ', 'success');
+      this.updateFaceStatus(t('model.ready'));
+      this.showAlert(t('model.loaded'), 'success');
 
     } catch (error) {
       console.error('Face API loading error:', error);
       this.faceApiLoaded = false;
 
-      if (error.message.includes('internet')) {
-        this.updateFaceStatus('ไม่มี internet - ใช้โหมดจำลอง');
-        this.showAlert('ไม่มีการเชื่อมต่อ internet จะใช้โหมดจำลอง', 'warning');
+      if (!SimulationPolicy.allowed) {
+        this.updateFaceStatus(t('simulation.forbiddenStatus'));
+        this.showAlert(t('simulation.forbidden'), 'error');
+      } else if (!this.checkNetworkConnection()) {
+        this.updateFaceStatus(t('model.offlineStatus'));
+        this.showAlert(t('model.offlineAlert'), 'warning');
       } else {
-        this.updateFaceStatus('Face Detection ล้มเหลว - ใช้โหมดจำลอง');
-        this.showAlert('ไม่สามารถโหลด Face Detection ได้ จะใช้โหมดจำลอง', 'warning');
+        this.updateFaceStatus(t('model.failedStatus'));
+        this.showAlert(t('model.failedAlert'), 'warning');
       }
     } finally {
       this.showLoading(false);
@@ -165,13 +3527,8 @@ class AttendanceSystem {
   }
 
   updateDateTime() {
-    const now = new Date();
-    const dateOptions = {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      locale: 'th-TH'
-    };
+    this.clock.check();
+    const now = this.clock.date();
     const timeOptions = {
       hour: '2-digit',
       minute: '2-digit',
@@ -179,8 +3536,8 @@ class AttendanceSystem {
       hour12: false
     };
 
-    document.getElementById('currentDate').textContent = now.toLocaleDateString('th-TH', dateOptions);
-    document.getElementById('currentTime').textContent = now.toLocaleTimeString('th-TH', timeOptions);
+    document.getElementById('currentDate').textContent = I18n.formatDate(now);
+    document.getElementById('currentTime').textContent = I18n.formatTime(now, timeOptions);
   }
 
   async startCamera() {
@@ -189,26 +3546,27 @@ class AttendanceSystem {
 
       const stream = await navigator.mediaDevices.getUserMedia({
         video: {
-          width: {ideal: 1280},
-          height: {ideal: 720},
+          width: {ideal: APP_CONFIG.cameraResolution.width},
+          height: {ideal: APP_CONFIG.cameraResolution.height},
           facingMode: 'user'
         }
       });
 
       this.video.srcObject = stream;
       this.startCameraBtn.disabled = true;
-      this.startCameraBtn.textContent = 'กล้องเปิดแล้ว';
+      this.startCameraBtn.textContent = t('camera.started');
+      this.enrollFaceBtn.disabled = false;
 
       // Wait for video to load before starting face detection
       this.video.addEventListener('loadeddata', () => {
         this.startFaceDetection();
-      });
+      }, {once: true});
 
-      this.showAlert('เปิดกล้องสำเร็จ', 'success');
+      this.showAlert(t('camera.opened'), 'success');
 
     } catch (error) {
       console.error('Camera error:', error);
-      this.showAlert('ไม่สามารถเปิดกล้องได้ กรุณาตรวจสอบการอนุญาต', 'error');
+      this.showAlert(t('camera.failed'), 'error');
     } finally {
       this.showLoading(false);
     }
@@ -217,111 +3575,181 @@ class AttendanceSystem {
   startFaceDetection() {
     if (!this.faceApiLoaded) {
       // Fallback to simulation if face-api.js is not loaded
+      if (!SimulationPolicy.allowed) {
+        this.updateFaceStatus(t('simulation.forbiddenStatus'));
+        this.setPunchEnabled(false);
+        return;
+      }
       this.startSimulatedFaceDetection();
       return;
     }
 
     // Real face detection using face-api.js
-    this.faceDetectionInterval = setInterval(async () => {
-      try {
-        const detections = await faceapi
-          .detectAllFaces(this.video, new faceapi.SsdMobilenetv1Options({minConfidence: 0.5}))
-          .withFaceLandmarks();
-
-        // Clear previous face boxes
-        this.faceOverlay.innerHTML = '';
-
-        if (detections.length > 0) {
-          const detection = detections[0]; // Use the first detection
-          const confidence = Math.round(detection.detection.score * 100);
-
-          if (!this.isFaceDetected) {
-            this.isFaceDetected = true;
-            this.updateFaceStatus(`ตรวจพบใบหน้า (${confidence}%)`);
-            this.checkInBtn.disabled = false;
-            this.checkOutBtn.disabled = false;
-          } else {
-            this.updateFaceStatus(`ตรวจพบใบหน้า (${confidence}%)`);
-          }
+    this.lastFaceSeenAt = Date.now();
+    this.detectionLoop = new DetectionLoop(() => this.detectFrame());
+    this.detectionLoop.start();
+  }
 
-          // Draw face detection boxes
-          detections.forEach(detection => {
-            this.drawFaceBox(detection.detection.box, detection.detection.score);
-          });
-
-        } else {
-          if (this.isFaceDetected) {
-            this.isFaceDetected = false;
-            this.updateFaceStatus('ไม่พบใบหน้า');
-            this.checkInBtn.disabled = true;
-            this.checkOutBtn.disabled = true;
-          }
-        }
-      } catch (error) {
-        console.error('Face detection error:', error);
-        // Fallback to simulation on error
-        this.startSimulatedFaceDetection();
+  // หนึ่งรอบของ detection loop (DetectionLoop รอให้เสร็จก่อนเริ่มรอบถัดไป)
+  async detectFrame() {
+    let detections;
+    try {
+      detections = await this.detector.detect(this.video, this.detectorOptions());
+    } catch (error) {
+      // ผิดพลาดชั่วคราว (เช่น สร้าง ImageBitmap ไม่ได้ระหว่างภาพจากกล้องเปลี่ยนขนาด) ข้ามเฟรมนี้ไป
+      this.detectionFailures++;
+      if (!error.workerFailed && this.detectionFailures < APP_CONFIG.detectionMaxFailures) {
+        console.warn('Face detection frame skipped:', error);
+        return;
       }
-    }, 500); // Check every 500ms for better performance
+      console.error('Face detection error:', error);
+      // worker ตายหรือผิดพลาดติดกันหลายเฟรม ถือว่า model ใช้ไม่ได้ แล้วเริ่มใหม่ตามนโยบายโหมดจำลอง
+      this.detectionFailures = 0;
+      this.detectionLoop.stop();
+      this.faceApiLoaded = false;
+      this.hideFaceBox();
+      this.startFaceDetection();
+      return;
+    }
+    this.detectionFailures = 0;
+    // กล้องถูกปิดระหว่างรอผล
+    if (!this.video.srcObject) return;
+
+    if (detections.length > 0) {
+      const detection = detections[0]; // Use the first detection
+      const confidence = Math.round(detection.score * 100);
+      this.isFaceDetected = true;
+      this.lastFaceSeenAt = Date.now();
+      this.lastFaceBox = detection.box;
+      this.lastLandmarks = detection.landmarks;
+
+      // ปุ่มลงเวลาจะเปิดเมื่อผ่าน liveness challenge แล้วเท่านั้น
+      const isLive = this.updateLiveness(detection.landmarks);
+      this.setPunchEnabled(isLive);
+      this.updateFaceStatus(isLive
+        ? t('face.detectedLive', {confidence})
+        : t('face.detectedChallenge', {confidence, instruction: this.livenessChallenge.instruction}));
+
+      // คำแนะนำเรื่องคุณภาพภาพบนกรอบใบหน้า ระหว่างทำ liveness ผู้ใช้ต้องหันหน้าจึงยังไม่เตือนเรื่องท่าทาง
+      const quality = this.measureQuality();
+      const issue = quality.issues.find(i => isLive || !['turned', 'tilted'].includes(i));
+
+      // Draw face detection boxes
+      this.drawFaceBoxes(detections.map((d, index) => ({
+        box: d.box,
+        confidence: d.score,
+        guidance: index === 0 && issue ? CaptureQuality.guidance(issue) : null
+      })));
+      return;
+    }
+
+    this.drawFaceBoxes([]);
+    if (this.isFaceDetected) {
+      this.isFaceDetected = false;
+      this.lastFaceBox = null;
+      this.lastLandmarks = null;
+      this.resetLiveness();
+      this.updateFaceStatus(t('face.notFound'));
+      this.setPunchEnabled(false);
+    }
+    // ไม่มีใครอยู่หน้ากล้องนานแล้ว ปิดกล้องเพื่อไม่ให้เครื่องร้อนและเปลืองแบตเตอรี่
+    if (!this.kiosk && Date.now() - this.lastFaceSeenAt > APP_CONFIG.cameraIdleSeconds * 1000) {
+      this.stopCamera();
+      this.updateFaceStatus(t('camera.idleStopped'));
+      this.showAlert(t('camera.idleStopped'), 'info');
+    }
+  }
+
+  // ป้อน landmarks ของเฟรมปัจจุบันให้ challenge คืนค่า true เมื่อผ่านแล้ว
+  updateLiveness(positions) {
+    if (this.livenessResult && this.livenessResult.passed) return true;
+    if (!this.livenessChallenge) this.livenessChallenge = LivenessChallenge.random();
+
+    const points = positions.map(p => ({x: Math.round(p.x), y: Math.round(p.y)}));
+    const timestamp = performance.now();
+    if (APP_CONFIG.livenessRecordLandmarks) {
+      this.landmarkRecording.push({t: Math.round(timestamp), points});
+    }
+
+    const status = this.livenessChallenge.update(points, timestamp);
+    if (status === 'passed') {
+      this.livenessResult = {
+        ...this.livenessChallenge.result(),
+        failedAttempts: this.livenessFailures,
+        completedAt: new Date().toISOString()
+      };
+      return true;
+    }
+    if (status === 'failed') {
+      this.livenessFailures++;
+      this.showAlert(t('liveness.failed', {instruction: this.livenessChallenge.instruction}), 'warning');
+      this.livenessChallenge = LivenessChallenge.random();
+    }
+    return false;
+  }
+
+  // ต้องทำ challenge ใหม่ทุกครั้งที่ใบหน้าหายไปหรือหลังลงเวลาสำเร็จ
+  resetLiveness() {
+    this.livenessChallenge = null;
+    this.livenessResult = null;
+    this.livenessFailures = 0;
   }
 
   startSimulatedFaceDetection() {
     // Fallback simulation mode
-    this.faceDetectionInterval = setInterval(() => {
+    // เครื่อง kiosk ยืนยัน PIN มาแล้วตอนเริ่มใช้งาน
+    document.getElementById('simulationPin').style.display =
+      SimulationPolicy.current() === 'pin' && !this.kiosk ? '' : 'none';
+    this.detectionLoop = new DetectionLoop(async () => {
       const isDetected = Math.random() > 0.3; // 70% chance of detection
 
       if (isDetected && !this.isFaceDetected) {
         this.isFaceDetected = true;
         this.showSimulatedFaceBox();
-        this.updateFaceStatus('ตรวจพบใบหน้า (โหมดจำลอง)');
-        this.checkInBtn.disabled = false;
-        this.checkOutBtn.disabled = false;
+        this.updateFaceStatus(t('face.simDetected'));
+        this.setPunchEnabled(true);
       } else if (!isDetected && this.isFaceDetected) {
         this.isFaceDetected = false;
         this.hideFaceBox();
-        this.updateFaceStatus('ไม่พบใบหน้า (โหมดจำลอง)');
-        this.checkInBtn.disabled = true;
-        this.checkOutBtn.disabled = true;
+        this.updateFaceStatus(t('face.simNotFound'));
+        this.setPunchEnabled(false);
       }
-    }, 1000);
+    }, {minIntervalMs: 1000, maxIntervalMs: 1000});
+    this.detectionLoop.start();
   }
 
-  drawFaceBox(box, confidence = 1) {
-    const faceBox = document.createElement('div');
-    faceBox.className = 'face-box';
-
-    // Calculate position relative to video element
-    const videoRect = this.video.getBoundingClientRect();
-    const videoDisplayWidth = this.video.offsetWidth;
-    const videoDisplayHeight = this.video.offsetHeight;
-
-    // Scale detection box to video display size
-    const scaleX = videoDisplayWidth / this.video.videoWidth;
-    const scaleY = videoDisplayHeight / this.video.videoHeight;
-
-    faceBox.style.left = (box.x * scaleX) + 'px';
-    faceBox.style.top = (box.y * scaleY) + 'px';
-    faceBox.style.width = (box.width * scaleX) + 'px';
-    faceBox.style.height = (box.height * scaleY) + 'px';
-
-    // Add confidence indicator
-    if (confidence < 1) {
+  // faces = [{box, confidence, guidance}] (guidance = คำแนะนำเรื่องคุณภาพภาพ แสดงแทนค่าความมั่นใจ)
+  // ใช้ element เดิมซ้ำทุกเฟรม สร้างเพิ่มเฉพาะเมื่อมีใบหน้ามากกว่าเดิม
+  drawFaceBoxes(faces) {
+    const overlay = this.faceOverlay;
+    while (overlay.children.length < faces.length) {
+      const faceBox = document.createElement('div');
       const confidenceLabel = document.createElement('div');
       confidenceLabel.className = 'confidence-label';
-      confidenceLabel.textContent = `${Math.round(confidence * 100)}%`;
-      confidenceLabel.style.position = 'absolute';
-      confidenceLabel.style.top = '-25px';
-      confidenceLabel.style.left = '0';
-      confidenceLabel.style.background = 'rgba(16, 185, 129, 0.9)';
-      confidenceLabel.style.color = 'white';
-      confidenceLabel.style.padding = '2px 6px';
-      confidenceLabel.style.borderRadius = '4px';
-      confidenceLabel.style.fontSize = '12px';
-      confidenceLabel.style.fontWeight = 'bold';
       faceBox.appendChild(confidenceLabel);
+      overlay.appendChild(faceBox);
     }
 
-    this.faceOverlay.appendChild(faceBox);
+    // Scale detection box to video display size
+    const scaleX = this.video.offsetWidth / this.video.videoWidth;
+    const scaleY = this.video.offsetHeight / this.video.videoHeight;
+
+    Array.from(overlay.children).forEach((faceBox, index) => {
+      const face = faces[index];
+      faceBox.style.display = face ? '' : 'none';
+      if (!face) return;
+      const {box, confidence, guidance} = face;
+      faceBox.className = guidance ? 'face-box poor' : 'face-box';
+      faceBox.style.left = (box.x * scaleX) + 'px';
+      faceBox.style.top = (box.y * scaleY) + 'px';
+      faceBox.style.width = (box.width * scaleX) + 'px';
+      faceBox.style.height = (box.height * scaleY) + 'px';
+
+      // Add confidence indicator
+      const confidenceLabel = faceBox.querySelector('.confidence-label');
+      confidenceLabel.textContent = guidance || `${Math.round(confidence * 100)}%`;
+      confidenceLabel.classList.toggle('poor', !!guidance);
+    });
   }
 
   showSimulatedFaceBox() {
@@ -345,6 +3773,155 @@ class AttendanceSystem {
     document.getElementById('faceStatus').textContent = status;
   }
 
+  async loadFaceProfile() {
+    if (!this.employeeId) return;
+    try {
+      this.faceProfile = await this.db.getFaceProfile(this.employeeId);
+    } catch (e) {
+      this.faceProfile = null;
+    }
+    // ลงทะเบียนได้ครั้งเดียว เพื่อไม่ให้คนอื่นลงทะเบียนใบหน้าทับ (เครื่อง kiosk ไม่เปิดให้ลงทะเบียน)
+    this.enrollFaceBtn.style.display = this.faceProfile || this.kiosk ? 'none' : '';
+  }
+
+  // คำนวณ face descriptor (128 มิติ) ของใบหน้าในเฟรมปัจจุบัน
+  async computeFaceDescriptor() {
+    const [result] = await this.detector.detect(this.video, this.detectorOptions(), true);
+    return result ? result.descriptor : null;
+  }
+
+  async enrollFace() {
+    if (!this.employeeId) {
+      this.showAlert(t('enroll.noEmployee'), 'error');
+      return;
+    }
+    if (!this.faceApiLoaded) {
+      this.showAlert(t('enroll.needModels'), 'warning');
+      return;
+    }
+    if (this.faceProfile) {
+      this.showAlert(t('enroll.already'), 'warning');
+      return;
+    }
+
+    try {
+      this.showLoading(true);
+      this.enrollFaceBtn.disabled = true;
+      this.showAlert(t('enroll.inProgress'), 'info');
+
+      const descriptors = [];
+      let attempts = 0;
+      while (descriptors.length < APP_CONFIG.enrollSamples && attempts < APP_CONFIG.enrollSamples * 4) {
+        attempts++;
+        const descriptor = await this.computeFaceDescriptor();
+        if (descriptor) descriptors.push(Array.from(descriptor));
+        await new Promise(resolve => setTimeout(resolve, 400));
+      }
+
+      if (descriptors.length < APP_CONFIG.enrollSamples) {
+        throw new Error(t('enroll.notEnough'));
+      }
+
+      this.faceProfile = {
+        employeeId: this.employeeId,
+        descriptors: descriptors,
+        enrolledAt: new Date().toISOString()
+      };
+      await this.db.saveFaceProfile(this.faceProfile);
+      this.enrollFaceBtn.style.display = 'none';
+      this.showAlert(t('enroll.success'), 'success');
+
+    } catch (error) {
+      console.error('Face enrollment error:', error);
+      this.enrollFaceBtn.disabled = false;
+      this.showAlert(t('enroll.failed'), 'error');
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  // เทียบใบหน้าปัจจุบันกับใบหน้าที่ลงทะเบียนไว้
+  // คืนค่า null เมื่อไม่ได้ใช้ face-api.js (โหมดจำลอง) เพราะไม่มี descriptor ให้เทียบ
+  async matchFace() {
+    if (!this.faceApiLoaded || !this.faceProfile) return null;
+
+    const descriptor = await this.computeFaceDescriptor();
+    if (!descriptor) {
+      return {matched: false, distance: null, score: 0, threshold: APP_CONFIG.faceMatchThreshold};
+    }
+
+    const distance = Math.min(...this.faceProfile.descriptors.map(d => faceapi.euclideanDistance(descriptor, d)));
+    return {
+      matched: distance <= APP_CONFIG.faceMatchThreshold,
+      distance: Number(distance.toFixed(4)),
+      score: Math.max(0, Math.round((1 - distance) * 100)),
+      threshold: APP_CONFIG.faceMatchThreshold
+    };
+  }
+
+  // ตรวจนโยบายโหมดจำลองก่อนลงเวลา คืนค่า {ok, simulation} (simulation = null เมื่อตรวจใบหน้าจริง)
+  async verifySimulation() {
+    if (this.faceApiLoaded) return {ok: true, simulation: null};
+    const policy = SimulationPolicy.current();
+    let pinVerified = !!this.kiosk;
+    if (policy === 'pin' && !pinVerified) {
+      const input = document.getElementById('simulationPinInput');
+      const pin = input.value.trim();
+      input.value = '';
+      if (!pin) {
+        this.showAlert(t('simulation.needPin'), 'warning');
+        return {ok: false, simulation: null};
+      }
+      try {
+        // PIN ของพนักงานตรวจกับ backend (action:'kiosk_login') หรือ hash ที่เก็บไว้เมื่อออฟไลน์
+        this.pinAuth = this.pinAuth || new KioskAuth();
+        await this.pinAuth.verify(this.employeeId, pin);
+        pinVerified = true;
+      } catch (error) {
+        this.showAlert(error.message, 'error');
+        return {ok: false, simulation: null};
+      }
+    }
+    const result = SimulationPolicy.evaluate(policy, pinVerified);
+    if (!result.ok) this.showAlert(t('simulation.forbidden'), 'error');
+    return result;
+  }
+
+  // ตรวจสอบตัวตนก่อนลงเวลา คืนค่า {ok, faceMatch, liveness}
+  async verifyIdentity() {
+    if (!this.employeeId) {
+      this.showAlert(t('identity.needPin'), 'warning');
+      return {ok: false, faceMatch: null};
+    }
+    if (this.faceApiLoaded && !(this.livenessResult && this.livenessResult.passed)) {
+      this.showAlert(t('identity.needLiveness'), 'warning');
+      return {ok: false, faceMatch: null};
+    }
+    // เครื่อง kiosk ยืนยันตัวตนด้วย PIN แล้ว เทียบใบหน้าเฉพาะคนที่เคยลงทะเบียนไว้ในเครื่องนี้
+    if (this.faceApiLoaded && !this.faceProfile && !this.kiosk) {
+      this.showAlert(t('identity.needEnroll'), 'warning');
+      return {ok: false, faceMatch: null};
+    }
+
+    let faceMatch = null;
+    try {
+      faceMatch = await this.matchFace();
+    } catch (error) {
+      console.error('Face matching error:', error);
+      this.showAlert(t('identity.matchError'), 'error');
+      return {ok: false, faceMatch: null};
+    }
+
+    if (faceMatch && !faceMatch.matched) {
+      if (APP_CONFIG.faceMatchPolicy === 'block') {
+        this.showAlert(t('identity.mismatch', {score: faceMatch.score}), 'error');
+        return {ok: false, faceMatch};
+      }
+      faceMatch.flagged = true;
+    }
+    return {ok: true, faceMatch, liveness: this.livenessResult};
+  }
+
   async getCurrentLocation() {
     try {
       const position = await new Promise((resolve, reject) => {
@@ -362,186 +3939,459 @@ class AttendanceSystem {
         timestamp: new Date().toISOString()
       };
 
-      document.getElementById('locationInfo').textContent =
-        `ละติจูด: ${position.coords.latitude.toFixed(6)}, ลองจิจูด: ${position.coords.longitude.toFixed(6)}`;
+      document.getElementById('locationInfo').textContent = t('location.coords', {
+        latitude: position.coords.latitude.toFixed(6),
+        longitude: position.coords.longitude.toFixed(6)
+      });
       document.getElementById('locationAccuracy').textContent =
-        `ความแม่นยำ: ${Math.round(position.coords.accuracy)} เมตร`;
+        t('location.accuracy', {meters: Math.round(position.coords.accuracy)});
+      document.getElementById('siteInfo').textContent =
+        this.formatGeofence(GeoFence.evaluate(this.currentLocation));
 
     } catch (error) {
       console.error('Location error:', error);
-      document.getElementById('locationInfo').textContent = 'ไม่สามารถหาตำแหน่งได้';
-      document.getElementById('locationAccuracy').textContent = 'กรุณาเปิดการใช้งานตำแหน่ง';
+      document.getElementById('locationInfo').textContent = t('location.failed');
+      document.getElementById('locationAccuracy').textContent = t('location.enable');
     }
   }
 
-  async checkIn() {
-    if (!this.isFaceDetected) {
-      this.showAlert('กรุณาตรวจสอบใบหน้าก่อน', 'warning');
-      return;
+  // ตรวจสอบพื้นที่และความแม่นยำของตำแหน่งตามนโยบาย คืนค่า {ok, geofence}
+  verifyLocation() {
+    const geofence = GeoFence.evaluate(this.currentLocation);
+    const accuracyOk = this.currentLocation.accuracy <= APP_CONFIG.maxLocationAccuracy;
+
+    if (!accuracyOk && APP_CONFIG.accuracyPolicy === 'block') {
+      this.showAlert(t('location.inaccurate', {meters: Math.round(this.currentLocation.accuracy)}), 'error');
+      return {ok: false, geofence};
     }
-    if (!this.currentLocation) {
-      this.showAlert('กรุณารอการตรวจสอบตำแหน่ง', 'warning');
-      return;
+    if (geofence && !geofence.inZone && APP_CONFIG.geofencePolicy === 'block') {
+      this.showAlert(t('location.outside', {site: geofence.site, distance: geofence.distance}), 'error');
+      return {ok: false, geofence};
     }
+    if (geofence) {
+      geofence.flagged = !geofence.inZone || !accuracyOk;
+    }
+    return {ok: true, geofence};
+  }
 
-    this.showLoading(true);
-    this.showAlert('กำลังบันทึกการเข้างาน...', 'info');
-
-    const faceImage = await this.captureFaceImage();
-    setTimeout(async () => {
-      const attendanceData = {
-        type: 'check-in',
-        timestamp: new Date().toISOString(),
-        location: this.currentLocation,
-        faceDetected: this.isFaceDetected,
-        faceImage: faceImage,
-        detectionMethod: this.faceApiLoaded ? 'face-api.js' : 'simulation'
-      };
-
-      await this.db.addRecord(attendanceData);
-      this.isCheckedIn = true;
-      this.updateCurrentStatus('เข้างานแล้ว');
+  setPunchEnabled(enabled) {
+    Object.values(this.punchButtons).forEach(btn => { btn.disabled = !enabled; });
+  }
 
-      // Enhanced success feedback
-      this.showSuccessNotification('✅ ลงเวลาเข้างานสำเร็จ!', `เวลา: ${new Date().toLocaleTimeString('th-TH')}`);
-      this.checkInBtn.style.background = '#10b981';
-      this.checkInBtn.textContent = '✓ เข้างานสำเร็จ';
+  // maxSessionHours ตามกลุ่มกะของพนักงาน (ค่าเดียวกับที่ ShiftCalculator.evaluateDay ใช้ สถานะปุ่มกับสรุปจึงตรงกัน)
+  sessionLimitHours() {
+    return ShiftCalculator.resolveShift(this.employeeId).maxSessionHours;
+  }
 
-      // Reset button after 3 seconds
-      setTimeout(() => {
-        this.checkInBtn.style.background = '';
-        this.checkInBtn.textContent = 'เข้างาน';
-      }, 3000);
+  // รายการของพนักงานย้อนหลัง maxSessionHours ซึ่งพอสำหรับหากะที่ยังเปิดอยู่และตรวจการลงเวลาซ้ำ
+  async recentPunches(now = this.clock.date(), maxSessionHours = this.sessionLimitHours()) {
+    // เครื่อง kiosk ที่ยังไม่มีพนักงานยืนยันตัวตน
+    if (!this.employeeId) return [];
+    try {
+      const from = new Date(now.getTime() - maxSessionHours * 3600000);
+      return await this.db.getRecordsInRange(from, now, this.employeeId);
+    } catch (e) {
+      return [];
+    }
+  }
 
-      this.loadAttendanceHistory();
-      this.updateDailySummary();
-      this.showLoading(false);
-    }, 2000);
+  // {state, open, last} ของกะล่าสุด (open = กะที่ยังไม่ออกงาน, last = กะล่าสุดในช่วงที่ดึงมา)
+  async currentPunchContext() {
+    const now = this.clock.date();
+    const maxSessionHours = this.sessionLimitHours();
+    const {sessions, open} = PunchStateMachine.sessions(await this.recentPunches(now, maxSessionHours), now, maxSessionHours);
+    return {state: open ? open.state : 'off', open, last: sessions[sessions.length - 1] || null};
   }
 
-  async checkOut() {
+  // ลงเวลาทุกประเภท (เข้างาน/ออกงาน/เริ่มพัก/กลับจากพัก) ผ่านการตรวจใบหน้า ตำแหน่ง และถ่ายภาพเหมือนกัน
+  async punch(type) {
+    if (this.line && this.line.blocked) {
+      this.showAlert(t('identity.lineMismatch'), 'error');
+      return;
+    }
     if (!this.isFaceDetected) {
-      this.showAlert('กรุณาตรวจสอบใบหน้าก่อน', 'warning');
+      this.showAlert(t('punch.needFace'), 'warning');
       return;
     }
     if (!this.currentLocation) {
-      this.showAlert('กรุณารอการตรวจสอบตำแหน่ง', 'warning');
+      this.showAlert(t('punch.needLocation'), 'warning');
       return;
     }
 
-    this.showLoading(true);
-    this.showAlert('กำลังบันทึกการออกงาน...', 'info');
-
-    const faceImage = await this.captureFaceImage();
-    setTimeout(async () => {
-      const attendanceData = {
-        type: 'check-out',
-        timestamp: new Date().toISOString(),
-        location: this.currentLocation,
-        faceDetected: this.isFaceDetected,
-        faceImage: faceImage,
-        detectionMethod: this.faceApiLoaded ? 'face-api.js' : 'simulation'
-      };
+    // กันกดซ้ำระหว่างที่รายการก่อนหน้ายังบันทึกไม่เสร็จ ตั้งค่าก่อน await แรกเพื่อไม่ให้การกดซ้อนผ่านไปได้
+    // ทุกทางที่ออกก่อนถึงการบันทึก (รวมถึง error) ต้องปลดล็อกใน finally
+    if (this.isPunching) return;
+    this.isPunching = true;
+    let saving = false;
+    try {
+      // เจ้าของรายการ ณ ตอนกด (kiosk อาจเปลี่ยนพนักงานหลังจากนี้ และไม่มี session ของ LINE)
+      const employeeId = this.employeeId;
+      const lineUserId = this.session ? this.session.lineUserId : null;
+      const now = this.clock.date();
+      const maxSessionHours = this.sessionLimitHours();
+      const check = PunchStateMachine.evaluate(await this.recentPunches(now, maxSessionHours), type, now,
+        {...APP_CONFIG, maxSessionHours});
+      if (!check.ok) {
+        if (check.reason === 'duplicate' || APP_CONFIG.invalidTransitionPolicy === 'block') {
+          this.showAlert(check.message, 'warning');
+          return;
+        }
+        if (!confirm(t('punch.confirmInvalid', {message: check.message, type: punchLabel(type)}))) return;
+      }
+
+      const place = this.verifyLocation();
+      if (!place.ok) return;
+
+      this.showLoading(true);
+      const simulation = await this.verifySimulation();
+      const identity = simulation.ok ? await this.verifyIdentity() : simulation;
+      if (!identity.ok) return;
+      const quality = this.checkCaptureQuality();
+      if (!quality) return;
+      const label = punchLabel(type);
+      this.showAlert(t('punch.saving', {type: label}), 'info');
+
+      const photo = await this.captureFaceImage();
+      saving = true;
+      setTimeout(() => this.savePunch({type, check, place, simulation, identity, quality, photo, employeeId, lineUserId})
+        .catch(error => console.error('Punch error:', error))
+        .finally(() => this.finishPunch()), 2000);
+    } catch (error) {
+      // ปุ่มลงเวลาเรียก punch() โดยไม่รอผล จึงต้องจัดการ error ที่นี่ ไม่ให้กลายเป็น unhandled rejection
+      console.error('Punch error:', error);
+      this.showAlert(t('punch.saveFailed'), 'error');
+    } finally {
+      if (!saving) this.finishPunch();
+    }
+  }
+
+  // ปลดล็อกการกดลงเวลาและปิด loading (ทุกทางที่การลงเวลาจบลงต้องผ่านที่นี่)
+  finishPunch() {
+    this.isPunching = false;
+    this.showLoading(false);
+    if (this.kiosk) this.kiosk.punchSettled();
+  }
+
+  // บันทึกรายการหลังตรวจทุกอย่างผ่านแล้ว
+  async savePunch({type, check, place, simulation, identity, quality, photo, employeeId, lineUserId}) {
+    const label = punchLabel(type);
+    const time = this.clock.now();
+    const attendanceData = {
+      type,
+      timestamp: time.trustedTime,
+      // กะข้ามเที่ยงคืนสังกัดวันที่เข้างาน
+      date: check.workDate,
+      time,
+      transitionWarning: check.ok ? null : check.message,
+      location: this.currentLocation,
+      faceDetected: this.isFaceDetected,
+      faceImage: photo.image,
+      faceThumbnail: photo.thumbnail,
+      detectionMethod: simulation.simulation ? 'simulation' : 'face-api.js',
+      simulation: simulation.simulation,
+      employeeId,
+      lineUserId,
+      faceMatch: identity.faceMatch,
+      liveness: identity.liveness,
+      quality,
+      geofence: place.geofence,
+      syncStatus: 'pending',
+      idempotencyKey: generateId()
+    };
 
-      await this.db.addRecord(attendanceData);
-      this.isCheckedIn = false;
-      this.updateCurrentStatus('ออกงานแล้ว');
+    try {
+      await this.chain.append(attendanceData);
+    } catch (error) {
+      console.error('Punch save error:', error);
+      this.showAlert(t('punch.saveFailed'), 'error');
+      return;
+    }
+    this.updateSyncStatus();
+    const synced = this.sync.syncNow();
+    if (this.line) this.sendLineConfirmation(attendanceData.id, synced);
+    this.resetLiveness();
+    const {state} = await this.currentPunchContext();
+    this.isCheckedIn = state !== 'off';
+    this.updateCurrentStatus(PunchStateMachine.STATE_LABELS[state]);
 
-      // Enhanced success feedback
-      this.showSuccessNotification('✅ ลงเวลาออกงานสำเร็จ!', `เวลา: ${new Date().toLocaleTimeString('th-TH')}`);
-      this.checkOutBtn.style.background = '#ef4444';
-      this.checkOutBtn.textContent = '✓ ออกงานสำเร็จ';
+    // Enhanced success feedback
+    this.showSuccessNotification(t('punch.success', {type: label}),
+      t('punch.successTime', {time: I18n.formatTime(time.trustedTime, {hour: '2-digit', minute: '2-digit', second: '2-digit'})}));
+    const button = this.punchButtons[type];
+    button.style.background = PUNCH_TYPES[type].color;
+    button.textContent = t('punch.buttonDone', {type: label});
 
-      // Reset button after 3 seconds
-      setTimeout(() => {
-        this.checkOutBtn.style.background = '';
-        this.checkOutBtn.textContent = 'ออกงาน';
-      }, 3000);
+    // Reset button after 3 seconds
+    setTimeout(() => {
+      button.style.background = '';
+      button.textContent = punchLabel(type);
+    }, 3000);
 
+    if (this.kiosk) {
+      this.kiosk.confirmPunch(attendanceData);
+    } else {
+      // ลงเวลาเสร็จแล้วไม่ต้องใช้กล้องต่อ ปิดเพื่อประหยัดแบตเตอรี่
+      this.stopCamera();
       this.loadAttendanceHistory();
       this.updateDailySummary();
-      this.showLoading(false);
-    }, 2000);
+      this.verifyIntegrity();
+    }
+  }
+
+  // วัดคุณภาพเฟรมปัจจุบันจากกรอบใบหน้าและ landmarks ล่าสุด (โหมดจำลองไม่มี จึงวัดเฉพาะแสงและความคมชัดกลางภาพ)
+  measureQuality() {
+    return CaptureQuality.evaluate(
+      CaptureQuality.measure(this.video, this.qualityCanvas, this.lastFaceBox || null, this.lastLandmarks || null));
+  }
+
+  // ตรวจคุณภาพก่อนถ่ายภาพลงเวลา คืนค่าผลที่บันทึกไปกับรายการ หรือ null เมื่อไม่ผ่านและ captureQualityPolicy = 'block'
+  checkCaptureQuality() {
+    const quality = this.measureQuality();
+    if (quality.ok) return quality;
+    if (APP_CONFIG.captureQualityPolicy === 'block') {
+      this.showAlert(t('quality.rejected', {issues: quality.issues.map(CaptureQuality.guidance).join(', ')}), 'warning');
+      return null;
+    }
+    return {...quality, flagged: true};
   }
 
+  // จับภาพเฉพาะบริเวณใบหน้าจากเฟรมปัจจุบัน คืนค่า {image, thumbnail} เป็น JPEG Blob
   async captureFaceImage() {
-    // Capture current frame from video as dataURL
-    const video = this.video;
+    const crop = this.getFaceCrop(this.video.videoWidth || 480, this.video.videoHeight || 360);
+    const image = await this.renderCrop(crop, APP_CONFIG.photoMaxSize, APP_CONFIG.photoQuality);
+    const thumbnail = await this.renderCrop(crop, APP_CONFIG.thumbnailSize, 0.7);
+    return {image, thumbnail};
+  }
+
+  // กรอบสี่เหลี่ยมจัตุรัสรอบใบหน้าล่าสุดพร้อม margin ถ้าไม่มีกรอบ (โหมดจำลอง) ใช้กลางภาพ
+  getFaceCrop(frameWidth, frameHeight) {
+    const box = this.lastFaceBox;
+    if (!box) {
+      const size = Math.min(frameWidth, frameHeight);
+      return {x: (frameWidth - size) / 2, y: (frameHeight - size) / 2, size};
+    }
+    const size = Math.min(Math.max(box.width, box.height) * (1 + APP_CONFIG.photoCropMargin * 2), frameWidth, frameHeight);
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    return {
+      x: Math.min(Math.max(0, centerX - size / 2), frameWidth - size),
+      y: Math.min(Math.max(0, centerY - size / 2), frameHeight - size),
+      size
+    };
+  }
+
+  renderCrop(crop, maxSize, quality) {
     const canvas = this.snapshotCanvas;
-    canvas.width = video.videoWidth || 480;
-    canvas.height = video.videoHeight || 360;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    // Optionally crop to face area if needed
-    return canvas.toDataURL('image/jpeg', 0.85);
+    const size = Math.round(Math.min(crop.size, maxSize));
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').drawImage(this.video, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  }
+
+  // โหลดประวัติหน้าแรกใหม่ตาม type (all/breaks/check-in/check-out) หน้าถัดไปโหลดเมื่อเลื่อนถึงท้ายรายการ
+  async loadAttendanceHistory(type = this.historyType || 'all') {
+    this.historyType = type;
+    this.historyNextBefore = null;
+    const historyContainer = document.getElementById('attendanceHistory');
+    historyContainer.innerHTML = '';
+    await this.loadMoreHistory();
+    if (!historyContainer.querySelector('.history-item')) {
+      historyContainer.innerHTML = `<div class="empty-state"><p>${t('history.empty')}</p></div>`;
+    }
   }
 
-  // เพิ่มฟังก์ชันรองรับการกรองประวัติด้วย type (all/check-in/check-out)
-  async loadAttendanceHistory(type = 'all') {
+  async loadMoreHistory() {
+    if (this.isLoadingHistory) return;
+    this.isLoadingHistory = true;
     const historyContainer = document.getElementById('attendanceHistory');
-    let history = [];
+    const type = this.historyType;
+
+    let page = {records: [], nextBefore: null};
     try {
-      history = await this.db.getAllRecords();
+      page = await this.db.getRecordsPage({employeeId: this.employeeId, type, before: this.historyNextBefore});
     } catch (e) {
-      history = [];
+      console.error('History loading error:', e);
     }
-    if (!history || history.length === 0) {
-      historyContainer.innerHTML = '<div class="empty-state"><p>ยังไม่มีประวัติการลงเวลา</p></div>';
+    // ผู้ใช้เปลี่ยนแท็บระหว่างรอผล
+    if (type !== this.historyType) {
+      this.isLoadingHistory = false;
       return;
     }
-    historyContainer.innerHTML = '';
-    history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    let filtered = history;
-    if (type === 'check-in') filtered = history.filter(r => r.type === 'check-in');
-    if (type === 'check-out') filtered = history.filter(r => r.type === 'check-out');
-    filtered.slice(0, 50).forEach(record => {
-      const historyItem = document.createElement('div');
-      historyItem.className = `history-item ${record.type}`;
-      const date = new Date(record.timestamp);
-      const formattedDate = date.toLocaleDateString('th-TH', {
-        year: 'numeric', month: 'long', day: 'numeric'
-      });
-      const formattedTime = date.toLocaleTimeString('th-TH', {
-        hour: '2-digit', minute: '2-digit', second: '2-digit'
+
+    const oldMore = historyContainer.querySelector('.history-more');
+    if (oldMore) oldMore.remove();
+
+    await this.loadDaySummaries(page.records);
+    page.records.forEach(record => historyContainer.appendChild(this.renderHistoryItem(record)));
+    this.historyNextBefore = page.nextBefore;
+
+    if (page.nextBefore) {
+      const moreBtn = document.createElement('button');
+      moreBtn.className = 'btn history-more';
+      moreBtn.textContent = t('history.loadMore');
+      moreBtn.addEventListener('click', () => this.loadMoreHistory());
+      historyContainer.appendChild(moreBtn);
+      this.observeHistoryEnd(moreBtn);
+    }
+    this.isLoadingHistory = false;
+  }
+
+  // คำนวณสรุปของแต่ละวันที่มีในหน้าที่โหลด เก็บไว้ใน this.daySummaries (key = YYYY-MM-DD)
+  async loadDaySummaries(records) {
+    if (!this.daySummaries) this.daySummaries = new Map();
+    const dates = [...new Set(records.map(r => r.date || toDateKey(r.timestamp)))];
+    for (const dateKey of dates) {
+      try {
+        const dayRecords = await this.db.getRecordsByDate(dateKey, this.employeeId);
+        const shift = ShiftCalculator.resolveShift(this.employeeId);
+        this.daySummaries.set(dateKey, ShiftCalculator.evaluateDay(dateKey, dayRecords, shift, new Date(), this.requests));
+      } catch (e) {
+        this.daySummaries.delete(dateKey);
+      }
+    }
+  }
+
+  // Infinite scroll: โหลดหน้าถัดไปอัตโนมัติเมื่อปุ่ม "โหลดเพิ่มเติม" เลื่อนเข้ามาในจอ
+  observeHistoryEnd(target) {
+    if (!('IntersectionObserver' in window)) return;
+    if (!this.historyObserver) {
+      this.historyObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.historyObserver.unobserve(entry.target);
+            this.loadMoreHistory();
+          }
+        });
       });
-      historyItem.innerHTML = `
-        <div class="history-details">
-          <h4>${record.type === 'check-in' ? 'เข้างาน' : 'ออกงาน'}</h4>
-          <p><strong>วันที่:</strong> ${formattedDate}</p>
-          <p><strong>เวลา:</strong> ${formattedTime}</p>
-          <p><strong>ตำแหน่ง:</strong> ${record.location.latitude.toFixed(6)}, ${record.location.longitude.toFixed(6)}</p>
-          <p><strong>ความแม่นยำ:</strong> ${Math.round(record.location.accuracy)} เมตร</p>
-          <p><strong>การตรวจจับ:</strong> ${record.detectionMethod || 'simulation'}</p>
-        </div>
-        <div class="history-face">
-          ${record.faceImage ? `<img src="${record.faceImage}" alt="face" />` : ''}
-        </div>
-      `;
-      historyContainer.appendChild(historyItem);
-    });
+    }
+    this.historyObserver.observe(target);
   }
 
-  async checkTodayStatus() {
-    let history = [];
-    try {
-      history = await this.db.getAllRecords();
-    } catch (e) {
-      history = [];
+  // ภาพที่เก็บเป็น Blob ต้องสร้าง object URL (รายการเก่าเป็น data URL ใช้ได้เลย)
+  static photoSrc(photo) {
+    if (!photo) return '';
+    return typeof photo === 'string' ? photo : URL.createObjectURL(photo);
+  }
+
+  // fullPhoto = true แสดงภาพเต็มแทนภาพย่อ (ใช้ในรายละเอียดรายวันของปฏิทิน)
+  renderHistoryItem(record, fullPhoto = false) {
+    const historyItem = document.createElement('div');
+    historyItem.className = `history-item ${record.type}`;
+    historyItem.dataset.id = record.id;
+    const date = new Date(record.timestamp);
+    const formattedDate = I18n.formatDate(date);
+    const formattedTime = I18n.formatTime(date, {hour: '2-digit', minute: '2-digit', second: '2-digit'});
+    historyItem.innerHTML = `
+      <div class="history-details">
+        <h4>${punchLabel(record.type)} ${this.renderSyncBadge(record)} ${this.renderIntegrityBadge(record)}</h4>
+        <p><strong>${t('history.date')}</strong> ${formattedDate}</p>
+        <p><strong>${t('history.time')}</strong> ${formattedTime}</p>
+        <p><strong>${t('history.location')}</strong> <a href="https://www.google.com/maps?q=${record.location.latitude},${record.location.longitude}" target="_blank" rel="noopener">${record.location.latitude.toFixed(6)}, ${record.location.longitude.toFixed(6)}</a></p>
+        <p><strong>${t('history.accuracy')}</strong> ${t('history.meters', {meters: Math.round(record.location.accuracy)})}</p>
+        <p><strong>${t('history.site')}</strong> ${this.formatGeofence(record.geofence)}</p>
+        <p><strong>${t('history.deviceTime')}</strong> ${this.formatClockCheck(record.time)}</p>
+        <p><strong>${t('history.detection')}</strong> ${record.detectionMethod || 'simulation'}${this.formatSimulation(record.simulation)}</p>
+        <p><strong>${t('history.faceMatch')}</strong> ${this.formatFaceMatch(record.faceMatch)}</p>
+        <p><strong>${t('history.liveness')}</strong> ${this.formatLiveness(record.liveness)}</p>
+        <p><strong>${t('history.quality')}</strong> ${this.formatQuality(record.quality)}</p>
+        ${this.renderDayFigures(record)}
+      </div>
+      <div class="history-face"></div>
+    `;
+
+    const photo = fullPhoto ? record.faceImage || record.faceThumbnail : record.faceThumbnail || record.faceImage;
+    if (photo) {
+      const img = document.createElement('img');
+      img.alt = 'face';
+      img.loading = 'lazy';
+      img.src = AttendanceSystem.photoSrc(photo);
+      if (typeof photo !== 'string') img.onload = () => URL.revokeObjectURL(img.src);
+      historyItem.querySelector('.history-face').appendChild(img);
     }
-    const today = new Date().toDateString();
-    const todayRecords = history.filter(record => {
-      const recordDate = new Date(record.timestamp).toDateString();
-      return recordDate === today;
-    });
-    const lastCheckIn = todayRecords.find(record => record.type === 'check-in');
-    const lastCheckOut = todayRecords.find(record => record.type === 'check-out');
-    if (lastCheckIn && !lastCheckOut) {
-      this.isCheckedIn = true;
-      this.updateCurrentStatus('เข้างานแล้ว');
-    } else if (lastCheckOut) {
-      this.isCheckedIn = false;
-      this.updateCurrentStatus('ออกงานแล้ว');
+    return historyItem;
+  }
+
+  formatClockCheck(time) {
+    if (!time) return '-';
+    if (time.clockChanged) return t('clock.changed') + t('history.pendingReview');
+    if (time.source === 'device') return t('clock.notSynced');
+    const seconds = Math.round(Math.abs(time.skewMs) / 1000);
+    if (seconds < 1) return t('clock.inSync');
+    const amount = seconds >= 60
+      ? t('duration.minutesSeconds', {minutes: Math.floor(seconds / 60), seconds: seconds % 60})
+      : t('duration.seconds', {seconds});
+    return t(time.skewMs > 0 ? 'clock.fast' : 'clock.slow', {amount}) + (time.flagged ? t('history.pendingReview') : '');
+  }
+
+  formatSimulation(simulation) {
+    if (!simulation) return '';
+    return ` (${t(`simulation.policy.${simulation.policy}`)}${simulation.flagged ? t('history.pendingReview') : ''})`;
+  }
+
+  formatFaceMatch(faceMatch) {
+    if (!faceMatch) return '-';
+    if (faceMatch.matched) return t('history.faceMatched', {score: faceMatch.score});
+    return t('history.faceMismatch', {score: faceMatch.score, flag: faceMatch.flagged ? t('history.pendingReview') : ''});
+  }
+
+  // ตัวเลขตามกะ: การ์ดเข้างานแสดงการมาสาย การ์ดออกงานแสดงชั่วโมงทำงานสุทธิ เวลาพัก ออกก่อน และ OT
+  renderDayFigures(record) {
+    const summary = this.daySummaries && this.daySummaries.get(record.date || toDateKey(record.timestamp));
+    if (!summary) return '';
+    if (record.type === 'check-in') {
+      if (record.timestamp !== summary.checkIn) return '';
+      return `<p><strong>${t('history.late')}</strong> ${summary.lateMinutes > 0 ? this.formatMinutes(summary.lateMinutes) : t('history.onTime')}</p>`;
     }
+    if (record.timestamp !== summary.checkOut) return '';
+    return `
+      <p><strong>${t('history.worked')}</strong> ${this.formatMinutes(summary.workedMinutes)} &nbsp; <strong>${t('history.break')}</strong> ${this.formatMinutes(summary.breakMinutes)}</p>
+      <p><strong>${t('history.earlyLeave')}</strong> ${this.formatMinutes(summary.earlyLeaveMinutes)} &nbsp; <strong>${t('history.overtime')}</strong> ${this.formatMinutes(summary.overtimeMinutes)}</p>
+    `;
+  }
+
+  formatMinutes(minutes) {
+    if (!minutes) return t('duration.minutes', {minutes: 0});
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return hours > 0 ? t('duration.hoursMinutes', {hours, minutes: rest}) : t('duration.minutes', {minutes: rest});
+  }
+
+  formatDayStatus(status) {
+    const statuses = ['complete', 'working', 'incomplete', 'absent', 'not-started', 'day-off', 'leave'];
+    return statuses.includes(status) ? t(`day.${status}`) : '-';
+  }
+
+  renderSyncBadge(record) {
+    const status = record.syncStatus || 'pending';
+    // lastSyncError มาจากข้อความ error ของ backend ต้อง escape ก่อนใส่ใน attribute
+    const title = status === 'failed' ? ` title="${escapeHtml(record.lastSyncError)}"` : '';
+    return `<span class="sync-badge ${status}"${title}>${t(`sync.${status}`)}</span>`;
+  }
+
+  formatGeofence(geofence) {
+    if (!geofence) return '-';
+    const zone = geofence.inZone ? t('geofence.inZone') : t('geofence.outZone', {distance: geofence.distance});
+    return `${geofence.site} (${zone}${geofence.accuracyOk ? '' : t('geofence.inaccurate')})`;
+  }
+
+  formatQuality(quality) {
+    if (!quality) return '-';
+    if (quality.ok) return t('history.pass');
+    return quality.issues.map(CaptureQuality.guidance).join(', ') + (quality.flagged ? t('history.pendingReview') : '');
+  }
+
+  formatLiveness(liveness) {
+    if (!liveness) return '-';
+    const seconds = (liveness.durationMs / 1000).toFixed(1);
+    return t('history.livenessResult', {result: t(liveness.passed ? 'history.pass' : 'history.fail'), challenge: liveness.challenge, seconds});
+  }
+
+  async checkTodayStatus() {
+    const {state, open, last} = await this.currentPunchContext();
+    this.isCheckedIn = state !== 'off';
+    if (open) this.updateCurrentStatus(PunchStateMachine.STATE_LABELS[state]);
+    else if (last && last.end) this.updateCurrentStatus(t('state.checkedOut'));
   }
 
   updateCurrentStatus(status) {
@@ -646,38 +4496,83 @@ class AttendanceSystem {
     const isOnline = this.checkNetworkConnection();
     const statusElement = document.getElementById('networkStatus');
     if (statusElement) {
-      statusElement.textContent = isOnline ? 'ออนไลน์' : 'ออฟไลน์';
+      statusElement.textContent = t(isOnline ? 'network.online' : 'network.offline');
       statusElement.style.color = isOnline ? '#10b981' : '#ef4444';
     }
   }
 
-  updateDailySummary() {
-    this.db.getAllRecords().then(history => {
-      const today = new Date().toDateString();
-      const todayRecords = history.filter(record => {
-        const recordDate = new Date(record.timestamp).toDateString();
-        return recordDate === today;
-      });
+  // อัปเดตเฉพาะ badge ของรายการที่แสดงอยู่ เพื่อไม่ให้หน้าที่โหลดไว้หายไป
+  async onSyncChange() {
+    this.updateSyncStatus();
+    if (!this.kiosk) {
+      // ผลอนุมัติคำขออาจเปลี่ยนสรุปรายวัน
+      await this.loadRequests();
+      this.updateDailySummary();
+    }
+    const items = document.querySelectorAll('#attendanceHistory .history-item');
+    for (const item of items) {
+      const record = await this.db.getRecord(Number(item.dataset.id));
+      const badge = item.querySelector('.sync-badge');
+      if (record && badge) badge.outerHTML = this.renderSyncBadge(record);
+    }
+  }
+
+  async updateSyncStatus() {
+    const statusElement = document.getElementById('unsyncedCount');
+    if (!statusElement) return;
+    try {
+      const count = await this.sync.getUnsyncedCount();
+      statusElement.textContent = count > 0 ? t('sync.pendingCount', {count}) : t('sync.allSent');
+      statusElement.style.color = count > 0 ? '#f59e0b' : '#10b981';
+    } catch (e) {
+      statusElement.textContent = '';
+    }
+  }
 
+  // สรุปของวันทำงานปัจจุบัน: ถ้ายังอยู่ในกะข้ามเที่ยงคืนของเมื่อวาน แสดงของวันที่เข้างาน
+  async updateDailySummary() {
+    const {open} = await this.currentPunchContext();
+    const workDate = open ? open.workDate : toDateKey(this.clock.date());
+    this.db.getRecordsByDate(workDate, this.employeeId).then(todayRecords => {
       const checkInRecord = todayRecords.find(r => r.type === 'check-in');
-      const checkOutRecord = todayRecords.find(r => r.type === 'check-out');
+      const checkOutRecord = [...todayRecords].reverse().find(r => r.type === 'check-out');
+      const shift = ShiftCalculator.resolveShift(this.employeeId);
+      const summary = ShiftCalculator.evaluateDay(workDate, todayRecords, shift, this.clock.date(), this.requests);
+      // เวลาที่มาจากคำขอแก้ไขต้องแสดงให้เห็นเสมอว่าเป็นการแก้ไขด้วยมือ
+      const formatPunch = (iso, manual) => iso
+        ? I18n.formatTime(iso) + (manual ? t('summary.edited') : '')
+        : '-';
 
-      document.getElementById('todayCheckIn').textContent =
-        checkInRecord ? new Date(checkInRecord.timestamp).toLocaleTimeString('th-TH', {hour: '2-digit', minute: '2-digit'}) : '-';
+      document.getElementById('todayCheckIn').textContent = formatPunch(summary.checkIn, summary.checkInManual);
+      document.getElementById('todayCheckOut').textContent = formatPunch(summary.checkOut, summary.checkOutManual);
 
-      document.getElementById('todayCheckOut').textContent =
-        checkOutRecord ? new Date(checkOutRecord.timestamp).toLocaleTimeString('th-TH', {hour: '2-digit', minute: '2-digit'}) : '-';
+      document.getElementById('todayCheckInSite').textContent =
+        checkInRecord ? this.formatGeofence(checkInRecord.geofence) : '-';
+      document.getElementById('todayCheckOutSite').textContent =
+        checkOutRecord ? this.formatGeofence(checkOutRecord.geofence) : '-';
+
+      document.getElementById('todayStatus').textContent = this.formatDayStatus(summary.status);
+      document.getElementById('todayBreak').textContent = this.formatMinutes(summary.breakMinutes);
+      document.getElementById('todayWorked').textContent = this.formatMinutes(summary.workedMinutes);
+      document.getElementById('todayLate').textContent = this.formatMinutes(summary.lateMinutes);
+      document.getElementById('todayEarlyLeave').textContent = this.formatMinutes(summary.earlyLeaveMinutes);
+      document.getElementById('todayOvertime').textContent = this.formatMinutes(summary.overtimeMinutes);
+      document.getElementById('todayShift').textContent = `${shift.start} - ${shift.end}`;
     }).catch(() => {
-      document.getElementById('todayCheckIn').textContent = '-';
-      document.getElementById('todayCheckOut').textContent = '-';
+      ['todayCheckIn', 'todayCheckOut', 'todayCheckInSite', 'todayCheckOutSite', 'todayStatus', 'todayBreak',
+        'todayWorked', 'todayLate', 'todayEarlyLeave', 'todayOvertime', 'todayShift'].forEach(id => {
+        document.getElementById(id).textContent = '-';
+      });
     });
   }
 }
 
-// ให้ AttendanceSystem เป็น global เพื่อให้สคริปต์ใน index.html เรียกใช้ได้
-window.attendanceSystem = new AttendanceSystem();
-
-// Initialize the system when page loads
-window.addEventListener('DOMContentLoaded', () => {
-  new AttendanceSystem();
-});
+// ต้องเข้าสู่ระบบก่อนใช้งาน (ยกเว้นเครื่อง kiosk) ไม่มี session (หรือหมดอายุ) ให้กลับไปหน้า login
+// ให้ AttendanceSystem เป็น global เพื่อให้สคริปต์ใน index.html เรียกใช้ได้ (สร้างครั้งเดียว)
+KioskMode.applyUrlFlag();
+if (KioskMode.enabled || Session.current()) {
+  window.attendanceSystem = new AttendanceSystem();
+} else {
+  Session.clear();
+  Session.redirectToLogin();
+}
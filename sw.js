@@ -0,0 +1,104 @@
+// sw.js
+// Service worker: app shell แบบ cache-first เพื่อให้เปิดแอปและลงเวลาได้แม้ไม่มี internet
+
+// เปลี่ยนเวอร์ชันทุกครั้งที่แก้ไฟล์ใน APP_SHELL เพื่อให้ผู้ใช้ได้รับ "มีเวอร์ชันใหม่"
+const CACHE_VERSION = 'v29';
+const SHELL_CACHE = `kyn-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `kyn-runtime-${CACHE_VERSION}`;
+// ต้องตรงกับ APP_CONFIG.modelCacheName ใน main.js ModelLoader เป็นผู้เขียน cache นี้เพียงผู้เดียว
+// (เก็บเฉพาะ weights ที่ตรวจแล้ว ตามลำดับแหล่งใน APP_CONFIG.modelSources) service worker แค่ไม่ลบทิ้งตอน activate
+const MODEL_CACHE = 'face-models-v2';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'login.html',
+  'dashboard.html',
+  'dashboard.js',
+  'i18n.js',
+  'face-worker.js',
+  'main.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// script จาก CDN ที่หน้าเว็บต้องใช้ (ต้องตรงกับ <script src> ใน index.html / login.html
+// และ APP_CONFIG.xlsxLibraryUrl ใน main.js ซึ่งโหลดตอนส่งออก XLSX แม้ไม่มี internet)
+const CDN_SCRIPTS = [
+  'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js',
+  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'
+];
+// LIFF SDK (<script src> ใน login.html และ APP_CONFIG.liffSdkUrl ที่ main.js โหลดเมื่อต้องใช้)
+const OPTIONAL_CDN_SCRIPTS = [
+  'https://static.line-scdn.net/liff/edge/2/sdk.js'
+];
+
+// ฟอนต์ของหน้าเว็บ (ไฟล์ใน fonts.gstatic.com มีเวอร์ชันอยู่ใน URL)
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// cache ได้เฉพาะไฟล์คงที่ของเว็บนี้และไฟล์ภายนอกที่ระบุเวอร์ชันไว้ข้างบน
+// GET อื่น (เช่น LINE profile API, Apps Script) ต้องได้ข้อมูลล่าสุดเสมอ จึงไม่ผ่าน service worker
+function isCacheable(request) {
+  const url = new URL(request.url);
+  // model weights: ModelLoader เก็บใน MODEL_CACHE เองหลังตรวจความถูกต้องแล้ว
+  if (/-weights_manifest\.json$|-shard\d+$/.test(url.pathname)) return false;
+  if (url.origin === self.location.origin) return true;
+  return CDN_SCRIPTS.includes(request.url) || OPTIONAL_CDN_SCRIPTS.includes(request.url) ||
+    FONT_ORIGINS.includes(url.origin);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(APP_SHELL);
+    await shell.addAll(CDN_SCRIPTS);
+    // script เสริมไม่ควรทำให้ติดตั้งไม่สำเร็จ ถ้าโหลดไม่ได้จะถูก cache ตอนใช้งานจริงแทน
+    await Promise.all(OPTIONAL_CDN_SCRIPTS.map(url =>
+      shell.add(new Request(url, {mode: 'no-cors'})).catch(err => console.warn('Precache skipped:', url, err))
+    ));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, MODEL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// หน้าเว็บส่งมาเมื่อผู้ใช้กด "อัปเดต" บนแถบแจ้งเวอร์ชันใหม่
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  // POST ไปยัง Apps Script (login/punch) ต้องออก network เสมอ
+  if (request.method !== 'GET' || !isCacheable(request)) return;
+
+  event.respondWith((async () => {
+    // หน้า HTML เปิดจาก cache โดยไม่สน query string (เช่น login.html?redirect=...)
+    const cached = await caches.match(request, {ignoreSearch: request.mode === 'navigate'});
+    if (cached) return cached;
+
+    try {
+      const response = await fetch(request);
+      // เก็บไฟล์อื่นๆ ที่โหลดระหว่างใช้งาน (เช่น ฟอนต์) ไว้ใช้ครั้งต่อไป
+      if (response.ok || response.type === 'opaque') {
+        const runtime = await caches.open(RUNTIME_CACHE);
+        runtime.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      if (request.mode === 'navigate') {
+        const shell = await caches.match('index.html');
+        if (shell) return shell;
+      }
+      throw error;
+    }
+  })());
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp} = require('./load-app');
+
+const SERVER = Date.UTC(2026, 9, 19, 1, 0, 0);
+const MINUTE = 60 * 1000;
+
+// นาฬิกาเครื่อง (Date.now) และ performance.now ที่ควบคุมได้ storage ใช้ร่วมกันเพื่อจำลองการเปิดแอปใหม่
+function device(start = SERVER) {
+  const state = {wall: start, mono: 0, server: SERVER};
+  const FakeDate = class extends Date {
+    static now() {
+      return state.wall;
+    }
+  };
+  state.globals = {
+    Date: FakeDate,
+    performance: {now: () => state.mono},
+    navigator: {language: 'th-TH', onLine: true}
+  };
+  // เวลาผ่านไปจริง: ทั้งสองนาฬิกาเดิน
+  state.elapse = (ms) => {
+    state.wall += ms;
+    state.mono += ms;
+    state.server += ms;
+  };
+  return state;
+}
+
+// storage = ค่าใน localStorage ตอนเปิดแอป (เช่น saved() ของแอปก่อนปิด)
+function openApp(clockDevice, storage = {}) {
+  const {TrustedClock, localStorage} = loadApp(['TrustedClock', 'localStorage'], {storage, globals: clockDevice.globals});
+  const clock = new TrustedClock(async () => clockDevice.server);
+  const saved = () => ({
+    trustedTime: localStorage.getItem('trustedTime'),
+    clockChanged: localStorage.getItem('clockChanged')
+  });
+  return {clock, saved};
+}
+
+test('a synced clock in step with the device is not flagged', async () => {
+  const d = device();
+  const {clock} = openApp(d);
+  assert.equal(await clock.sync(), true);
+  d.elapse(10 * MINUTE);
+  const time = clock.now();
+  assert.equal(time.source, 'server');
+  assert.equal(time.flagged, false);
+  assert.equal(time.clockChanged, null);
+});
+
+test('a forward jump while offline stays flagged even though the skew reads zero', async () => {
+  const d = device();
+  const {clock} = openApp(d);
+  await clock.sync();
+  d.globals.navigator.onLine = false;
+  d.wall += 3 * 60 * MINUTE;
+  const time = clock.now();
+  assert.equal(time.skewMs, 0);
+  assert.equal(time.clockChanged, 'forward');
+  assert.equal(time.flagged, true);
+
+  d.elapse(MINUTE);
+  assert.equal(clock.now().flagged, true);
+});
+
+test('a backward jump while open is flagged by reason as well as skew', async () => {
+  const d = device();
+  const {clock} = openApp(d);
+  await clock.sync();
+  d.globals.navigator.onLine = false;
+  d.wall -= 30 * MINUTE;
+  const time = clock.now();
+  assert.equal(time.trustedTime, new Date(SERVER).toISOString());
+  assert.equal(time.clockChanged, 'backward');
+  assert.equal(time.flagged, true);
+});
+
+test('the flag survives a restart and clears only after a server sync', async () => {
+  const d = device();
+  const first = openApp(d);
+  await first.clock.sync();
+  d.globals.navigator.onLine = false;
+  d.wall += 60 * MINUTE;
+  first.clock.check();
+
+  const second = openApp(d, first.saved());
+  assert.equal(second.clock.now().clockChanged, 'forward');
+  assert.equal(second.clock.now().flagged, true);
+
+  d.globals.navigator.onLine = true;
+  assert.equal(await second.clock.sync(), true);
+  const time = second.clock.now();
+  assert.equal(time.clockChanged, null);
+  assert.equal(time.source, 'server');
+  // นาฬิกาเครื่องยังเร็วอยู่ จึงยังถูก flag จาก skew
+  assert.equal(time.skewMs, 60 * MINUTE);
+  assert.equal(second.saved().clockChanged, null);
+});
+
+test('setting the clock back while the app is closed is caught at the next start', async () => {
+  const d = device();
+  const first = openApp(d);
+  await first.clock.sync();
+  d.elapse(5 * MINUTE);
+  first.clock.check();
+
+  d.globals.navigator.onLine = false;
+  d.wall -= 30 * MINUTE;
+  const time = openApp(d, first.saved()).clock.now();
+  assert.equal(time.clockChanged, 'backward');
+  assert.equal(time.flagged, true);
+  // ไม่ย้อนกลับไปก่อนเวลาล่าสุดที่เคยเห็น
+  assert.ok(new Date(time.trustedTime).getTime() >= SERVER + 5 * MINUTE);
+});
+
+test('a restart with an untouched clock keeps the cached offset without a flag', async () => {
+  const d = device(SERVER - MINUTE);
+  const first = openApp(d);
+  await first.clock.sync();
+
+  d.globals.navigator.onLine = false;
+  d.elapse(8 * 60 * MINUTE);
+  const time = openApp(d, first.saved()).clock.now();
+  assert.equal(time.source, 'cached');
+  assert.equal(time.trustedTime, new Date(d.server).toISOString());
+  assert.equal(time.skewMs, -MINUTE);
+  assert.equal(time.clockChanged, null);
+  assert.equal(time.flagged, false);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp} = require('./load-app');
+
+const {AttendanceSystem, APP_CONFIG} = loadApp(['AttendanceSystem', 'APP_CONFIG']);
+
+// AttendanceSystem ที่ไม่ผ่าน constructor detector คืนผลตามลำดับใน results (Error = reject)
+function detectingSystem(results) {
+  const system = Object.assign(Object.create(AttendanceSystem.prototype), {
+    detector: {detect: async () => { const result = results.shift(); if (result instanceof Error) throw result; return result; }},
+    detectorOptions: () => ({}),
+    video: {srcObject: null},
+    detectionFailures: 0,
+    faceApiLoaded: true,
+    restarts: 0,
+    detectionLoop: {stop() {}},
+    hideFaceBox: () => {},
+    startFaceDetection() { this.restarts++; }
+  });
+  return system;
+}
+
+test('a single failed frame is skipped and the model stays in use', async () => {
+  const system = detectingSystem([new Error('bitmap'), []]);
+  await system.detectFrame();
+  assert.equal(system.faceApiLoaded, true);
+  assert.equal(system.restarts, 0);
+  await system.detectFrame();
+  assert.equal(system.detectionFailures, 0);
+});
+
+test('falls back after detectionMaxFailures consecutive failures', async () => {
+  const failures = Array.from({length: APP_CONFIG.detectionMaxFailures}, () => new Error('detect'));
+  const system = detectingSystem(failures);
+  for (let i = 1; i < APP_CONFIG.detectionMaxFailures; i++) await system.detectFrame();
+  assert.equal(system.faceApiLoaded, true);
+  await system.detectFrame();
+  assert.equal(system.faceApiLoaded, false);
+  assert.equal(system.restarts, 1);
+});
+
+test('falls back at once when the worker dies', async () => {
+  const system = detectingSystem([Object.assign(new Error('worker'), {workerFailed: true})]);
+  await system.detectFrame();
+  assert.equal(system.faceApiLoaded, false);
+  assert.equal(system.restarts, 1);
+});
@@ -0,0 +1,36 @@
+// ลำดับ landmarks 68 จุดสำหรับทดสอบ LivenessChallenge
+// สร้างจากค่าที่ LivenessChallenge.measure อ่าน: ear (ตา), yaw (ตำแหน่งจมูกระหว่างขอบกราม), mar (ปาก)
+// ใบหน้ากว้าง 200 px (กราม x = 100..300) จุดที่ไม่ได้ใช้วางไว้กลางใบหน้า
+
+function eye(points, first, x0, y, ear) {
+  // EAR = (|p1-p5| + |p2-p4|) / (2 |p0-p3|) กว้าง 30 px จึงสูงครึ่งหนึ่ง = ear * 15
+  const h = ear * 15;
+  points[first] = {x: x0, y};
+  points[first + 1] = {x: x0 + 10, y: y - h};
+  points[first + 2] = {x: x0 + 20, y: y - h};
+  points[first + 3] = {x: x0 + 30, y};
+  points[first + 4] = {x: x0 + 20, y: y + h};
+  points[first + 5] = {x: x0 + 10, y: y + h};
+}
+
+function face({ear = 0.3, yaw = 0.5, mar = 0.05} = {}) {
+  const points = Array.from({length: 68}, () => ({x: 200, y: 200}));
+  points[0] = {x: 100, y: 180};
+  points[16] = {x: 300, y: 180};
+  points[30] = {x: 100 + yaw * 200, y: 200};
+  eye(points, 36, 140, 160, ear);
+  eye(points, 42, 230, 160, ear);
+  // MAR = |p62-p66| / |p60-p64| กว้าง 60 px
+  points[60] = {x: 170, y: 250};
+  points[64] = {x: 230, y: 250};
+  points[62] = {x: 200, y: 250 - mar * 30};
+  points[66] = {x: 200, y: 250 + mar * 30};
+  return points;
+}
+
+// poses = [{ear, yaw, mar}] ต่อกันทุก stepMs
+function frames(poses, stepMs = 100) {
+  return poses.map((pose, i) => ({t: i * stepMs, points: face(pose)}));
+}
+
+module.exports = {face, frames};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp, plain} = require('./load-app');
+
+const {LineLiff, t} = loadApp(['LineLiff', 't']);
+
+const BOUND = 'U1234';
+const RECORD = {
+  type: 'check-in',
+  timestamp: new Date(2026, 9, 19, 8, 30).toISOString(),
+  location: {latitude: 13.7563, longitude: 100.5018},
+  geofence: {site: 'สำนักงานใหญ่'}
+};
+
+test('the bound LINE account matches and can send the confirmation', async () => {
+  const sdk = LineLiff.stub({profile: {userId: BOUND, displayName: 'A'}});
+  const line = new LineLiff(sdk, 'liff-id');
+  assert.equal(await line.init(BOUND), 'match');
+  assert.equal(line.blocked, false);
+
+  assert.equal(await line.sendConfirmation(RECORD), true);
+  assert.equal(sdk.sent.length, 1);
+  assert.equal(sdk.sent[0].type, 'flex');
+  assert.equal(sdk.sent[0].contents.body.contents[0].text, t('line.confirmTitle', {type: t('punch.check-in')}));
+});
+
+test('another LINE account blocks punching and sends nothing', async () => {
+  const sdk = LineLiff.stub({profile: {userId: 'U9999', displayName: 'B'}});
+  const line = new LineLiff(sdk, 'liff-id');
+  assert.equal(await line.init(BOUND), 'mismatch');
+  assert.equal(line.blocked, true);
+  assert.equal(await line.sendConfirmation(RECORD), false);
+  assert.equal(sdk.sent.length, 0);
+});
+
+test('not logged in to LINE, a failed init or no SDK leave punching open', async () => {
+  assert.equal(await new LineLiff(LineLiff.stub(), 'liff-id').init(BOUND), 'unavailable');
+  assert.equal(await new LineLiff(LineLiff.stub({failInit: true}), 'liff-id').init(BOUND), 'unavailable');
+  // fake document ของ load-app สร้าง <script> ไม่ได้ จึงเหมือนโหลด SDK ไม่สำเร็จ
+  const offline = new LineLiff(null, 'liff-id');
+  assert.equal(await offline.init(BOUND), 'unavailable');
+  assert.equal(offline.blocked, false);
+});
+
+test('outside the LINE app the confirmation is skipped', async () => {
+  const sdk = LineLiff.stub({profile: {userId: BOUND}, inClient: false});
+  const line = new LineLiff(sdk, 'liff-id');
+  await line.init(BOUND);
+  assert.equal(await line.sendConfirmation(RECORD), false);
+  assert.equal(sdk.sent.length, 0);
+});
+
+test('the confirmation shows the site and attaches only https photos', () => {
+  const message = plain(LineLiff.confirmationMessage(RECORD));
+  assert.equal(message.contents.body.contents[2].text, t('line.confirmSite', {site: 'สำนักงานใหญ่'}));
+  assert.equal(message.contents.hero, undefined);
+
+  const withPhoto = plain(LineLiff.confirmationMessage({...RECORD, photoUrl: 'https://example.com/p.jpg'}));
+  assert.equal(withPhoto.contents.hero.url, 'https://example.com/p.jpg');
+  const localPhoto = plain(LineLiff.confirmationMessage({...RECORD, photoUrl: 'blob:local'}));
+  assert.equal(localPhoto.contents.hero, undefined);
+});
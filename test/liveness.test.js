@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp} = require('./load-app');
+const {face, frames} = require('./fixtures/landmarks');
+
+const {LivenessChallenge} = loadApp(['LivenessChallenge']);
+
+test('measure reads eye, nose and mouth ratios from the fixture face', () => {
+  const m = LivenessChallenge.measure(face({ear: 0.3, yaw: 0.7, mar: 0.5}));
+  assert.ok(Math.abs(m.ear - 0.3) < 1e-9);
+  assert.ok(Math.abs(m.yaw - 0.7) < 1e-9);
+  assert.ok(Math.abs(m.mar - 0.5) < 1e-9);
+});
+
+test('blink passes after open -> closed -> open', () => {
+  const result = LivenessChallenge.replay('blink', frames([{ear: 0.3}, {ear: 0.1}, {ear: 0.3}]), 5000);
+  assert.equal(result.passed, true);
+  assert.equal(result.challenge, 'blink');
+  assert.equal(result.durationMs, 200);
+});
+
+test('blink fails when the eyes never close (photo held up)', () => {
+  const result = LivenessChallenge.replay('blink', frames(Array(10).fill({ear: 0.3}), 1000), 5000);
+  assert.equal(result.passed, false);
+});
+
+test('blink needs open eyes first: starting closed does not count', () => {
+  const result = LivenessChallenge.replay('blink', frames([{ear: 0.1}, {ear: 0.3}]), 5000);
+  assert.equal(result.passed, false);
+});
+
+test('turn-left passes when the nose moves right of the image after facing front', () => {
+  assert.equal(LivenessChallenge.replay('turn-left', frames([{yaw: 0.5}, {yaw: 0.6}, {yaw: 0.75}]), 5000).passed, true);
+  assert.equal(LivenessChallenge.replay('turn-left', frames([{yaw: 0.5}, {yaw: 0.2}]), 5000).passed, false);
+});
+
+test('turn-right passes when the nose moves left of the image after facing front', () => {
+  assert.equal(LivenessChallenge.replay('turn-right', frames([{yaw: 0.5}, {yaw: 0.25}]), 5000).passed, true);
+});
+
+test('turning without facing front first is not armed', () => {
+  assert.equal(LivenessChallenge.replay('turn-left', frames([{yaw: 0.8}, {yaw: 0.8}]), 5000).passed, false);
+});
+
+test('open-mouth passes after a closed mouth, fails if the mouth was never closed', () => {
+  assert.equal(LivenessChallenge.replay('open-mouth', frames([{mar: 0.05}, {mar: 0.5}]), 5000).passed, true);
+  assert.equal(LivenessChallenge.replay('open-mouth', frames([{mar: 0.5}, {mar: 0.5}]), 5000).passed, false);
+});
+
+test('a challenge completed after the timeout fails', () => {
+  const challenge = new LivenessChallenge('blink', 1000);
+  assert.equal(challenge.update(face({ear: 0.3}), 0), 'pending');
+  assert.equal(challenge.update(face({ear: 0.1}), 500), 'pending');
+  assert.equal(challenge.update(face({ear: 0.3}), 1500), 'failed');
+  // สถานะสุดท้ายไม่เปลี่ยนอีก
+  assert.equal(challenge.update(face({ear: 0.3}), 1600), 'failed');
+});
@@ -0,0 +1,52 @@
+// โหลด i18n.js และ main.js ใน vm context (แทนหน้าเว็บ) ให้ทดสอบ class ที่เป็น pure function ด้วย node --test ได้
+// ไม่มีผู้ใช้ล็อกอิน main.js จึงไม่สร้าง AttendanceSystem (Session.redirectToLogin แก้แค่ location ปลอม)
+// object ที่ได้มาจากอีก realm จึงเทียบโครงสร้างด้วย assert.deepEqual หรือ plain() ไม่ใช่ deepStrictEqual
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+const fakeDocument = {
+  documentElement: {},
+  hidden: false,
+  getElementById: () => null,
+  querySelectorAll: () => [],
+  addEventListener: () => {},
+  removeEventListener: () => {}
+};
+
+// names = ชื่อ class/ฟังก์ชัน/ค่าคงที่ระดับบนสุดที่ต้องการ, storage = ค่าเริ่มต้นของ localStorage
+function loadApp(names, {storage = {}, globals = {}} = {}) {
+  const context = vm.createContext({
+    console, crypto, performance, Intl, TextEncoder, TextDecoder, Blob, URL, URLSearchParams, atob, btoa,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    localStorage: memoryStorage({language: 'th', ...storage}),
+    navigator: {language: 'th-TH', onLine: false},
+    location: {search: '', pathname: '/index.html', href: ''},
+    document: fakeDocument,
+    fetch: () => Promise.reject(new Error('fetch is not available in tests')),
+    ...globals
+  });
+  context.window = context;
+  for (const file of ['i18n.js', 'main.js']) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, {filename: file});
+  }
+  return vm.runInContext(`({${names.join(', ')}})`, context);
+}
+
+// แปลงผลจาก vm context เป็น object ของ realm นี้
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {loadApp, plain, memoryStorage};
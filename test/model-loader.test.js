@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const {loadApp} = require('./load-app');
+
+const SOURCE = 'https://cdn.example/weights';
+const MANIFEST = [{paths: ['tiny_face_detector_model-shard1'], weights: [{name: 'w', shape: [2], dtype: 'float32'}]}];
+const SHARD = new Uint8Array(8).fill(7);
+const hash = (bytes) => crypto.createHash('sha256').update(bytes).digest('base64');
+
+// Cache API ปลอมเก็บ ArrayBuffer ตาม url
+function fakeCaches() {
+  const store = new Map();
+  const cache = {
+    match: async (url) => (store.has(url) ? {arrayBuffer: async () => store.get(url)} : undefined),
+    put: async (url, response) => store.set(url, await response.arrayBuffer()),
+    delete: async (url) => store.delete(url)
+  };
+  return {store, caches: {open: async () => cache}};
+}
+
+// fetch ปลอมตอบจาก files (url ต่อท้าย SOURCE) และนับจำนวนครั้งที่เรียก
+function fakeFetch(files) {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push(url);
+    const body = files[url.slice(SOURCE.length + 1)];
+    if (!body) return new Response(null, {status: 404});
+    return new Response(body);
+  };
+  return {calls, fetch};
+}
+
+const hashesOf = (files) => Object.fromEntries(Object.entries(files).map(([name, body]) => [name, hash(body)]));
+
+// hashes = ค่า modelHashes ที่ใช้แทนของจริง (ค่าเริ่มต้น = hash ของ files ที่ให้มา)
+function setup(files, hashes = hashesOf(files)) {
+  const {store, caches} = fakeCaches();
+  const network = fakeFetch(files);
+  const {ModelLoader, APP_CONFIG} = loadApp(['ModelLoader', 'APP_CONFIG'], {globals: {caches, Response, fetch: network.fetch}});
+  APP_CONFIG.modelHashes = hashes;
+  return {loader: new ModelLoader(), store, calls: network.calls};
+}
+
+const files = (shard = SHARD) => ({
+  'tiny_face_detector_model-weights_manifest.json': JSON.stringify(MANIFEST),
+  'tiny_face_detector_model-shard1': shard
+});
+
+test('the shipped hashes cover every manifest the loader can request', () => {
+  const {ModelLoader, APP_CONFIG} = loadApp(['ModelLoader', 'APP_CONFIG']);
+  Object.values(ModelLoader.MODELS).forEach(model => {
+    assert.ok(APP_CONFIG.modelHashes[`${model.file}-weights_manifest.json`], model.file);
+    assert.ok(APP_CONFIG.modelHashes[`${model.file}-shard1`], model.file);
+  });
+});
+
+test('verified files are cached and read back from the cache', async () => {
+  const {loader, store, calls} = setup(files());
+  const groups = await loader.loadModel('tiny', SOURCE);
+  assert.equal(groups[0].data.byteLength, 8);
+  assert.equal(store.size, 2);
+
+  await loader.loadModel('tiny', SOURCE);
+  assert.equal(calls.length, 2);
+});
+
+test('a file without a pinned hash is rejected and nothing is cached', async () => {
+  const {loader, store} = setup(files(), {'tiny_face_detector_model-weights_manifest.json': hash(JSON.stringify(MANIFEST))});
+  await assert.rejects(loader.loadModel('tiny', SOURCE), /no pinned hash/);
+  assert.equal(store.size, 0);
+});
+
+test('a shard that does not match the manifest size is not cached and evicts the manifest', async () => {
+  const {loader, store} = setup(files(SHARD.slice(0, 4)));
+  await assert.rejects(loader.loadModel('tiny', SOURCE), /size mismatch/);
+  assert.equal(store.size, 0);
+});
+
+test('a hash mismatch is not cached', async () => {
+  const {loader, store} = setup(files(), hashesOf(files(new Uint8Array(8))));
+  await assert.rejects(loader.loadModel('tiny', SOURCE), /Integrity check failed/);
+  assert.equal(store.size, 0);
+});
+
+test('a corrupted file already in the cache is evicted so the next load refetches it', async () => {
+  const {loader, store, calls} = setup(files());
+  store.set(`${SOURCE}/tiny_face_detector_model-shard1`, new Uint8Array(8).buffer);
+
+  await assert.rejects(loader.loadModel('tiny', SOURCE), (error) => error.integrity === true);
+  assert.equal(store.size, 0);
+
+  await loader.loadModel('tiny', SOURCE);
+  assert.equal(store.size, 2);
+  assert.equal(calls.filter(url => url.endsWith('shard1')).length, 1);
+});
+
+test('an unparseable manifest is an integrity failure', async () => {
+  const {loader, store} = setup({...files(), 'tiny_face_detector_model-weights_manifest.json': '<html>'});
+  await assert.rejects(loader.loadModel('tiny', SOURCE), (error) => error.integrity === true);
+  assert.equal(store.size, 0);
+});
+
+test('a network error does not touch the cache', async () => {
+  const {loader, store} = setup({'tiny_face_detector_model-weights_manifest.json': JSON.stringify(MANIFEST)});
+  await assert.rejects(loader.loadModel('tiny', SOURCE), /HTTP 404/);
+  assert.equal(store.size, 0);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp, plain} = require('./load-app');
+
+const {PunchStateMachine, t} = loadApp(['PunchStateMachine', 't']);
+
+const CONFIG = {maxSessionHours: 20, punchDebounceSeconds: 60};
+// เวลาท้องถิ่น 2026-10-19 (จันทร์) / 2026-10-20 (อังคาร)
+const mon = (hour, minute = 0, second = 0) => new Date(2026, 9, 19, hour, minute, second);
+const tue = (hour, minute = 0, second = 0) => new Date(2026, 9, 20, hour, minute, second);
+const punch = (type, at) => ({type, timestamp: at.toISOString()});
+
+test('a 22:00 -> 06:00 session belongs to the check-in day', () => {
+  const records = [punch('check-in', mon(22))];
+  const checkOut = PunchStateMachine.evaluate(records, 'check-out', tue(6), CONFIG);
+  assert.equal(checkOut.ok, true);
+  assert.equal(checkOut.state, 'working');
+  assert.equal(checkOut.workDate, '2026-10-19');
+
+  const {sessions, open} = PunchStateMachine.sessions([...records, punch('check-out', tue(6))], tue(7), CONFIG.maxSessionHours);
+  assert.equal(open, null);
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].workDate, '2026-10-19');
+  assert.equal(sessions[0].end, tue(6).toISOString());
+});
+
+test('a second check-in while working is invalid', () => {
+  const result = PunchStateMachine.evaluate([punch('check-in', mon(8))], 'check-in', mon(9), CONFIG);
+  assert.deepEqual(plain(result), {
+    ok: false, reason: 'invalid', message: t('punch.alreadyIn'), state: 'working', workDate: '2026-10-19'
+  });
+});
+
+test('check-out with no open session is invalid', () => {
+  const none = PunchStateMachine.evaluate([], 'check-out', mon(17), CONFIG);
+  assert.equal(none.reason, 'invalid');
+  assert.equal(none.message, t('punch.notIn'));
+  assert.equal(none.state, 'off');
+
+  const closed = [punch('check-in', mon(8)), punch('check-out', mon(17))];
+  const again = PunchStateMachine.evaluate(closed, 'check-out', mon(18), CONFIG);
+  assert.equal(again.reason, 'invalid');
+  assert.equal(again.state, 'off');
+});
+
+test('a break after midnight stays in the overnight session', () => {
+  const records = [punch('check-in', mon(22))];
+  const breakStart = PunchStateMachine.evaluate(records, 'break-start', tue(1), CONFIG);
+  assert.equal(breakStart.ok, true);
+  assert.equal(breakStart.workDate, '2026-10-19');
+
+  records.push(punch('break-start', tue(1)));
+  assert.equal(PunchStateMachine.stateOf(records, tue(1, 10)), 'on-break');
+  const checkOutOnBreak = PunchStateMachine.evaluate(records, 'check-out', tue(1, 10), CONFIG);
+  assert.equal(checkOutOnBreak.message, t('punch.onBreakCheckOut'));
+
+  const breakEnd = PunchStateMachine.evaluate(records, 'break-end', tue(1, 30), CONFIG);
+  assert.equal(breakEnd.ok, true);
+  assert.equal(breakEnd.workDate, '2026-10-19');
+
+  records.push(punch('break-end', tue(1, 30)), punch('check-out', tue(6)));
+  const {sessions} = PunchStateMachine.sessions(records, tue(7), CONFIG.maxSessionHours);
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].workDate, '2026-10-19');
+  assert.deepEqual(sessions[0].punches.map(r => r.type), ['check-in', 'break-start', 'break-end', 'check-out']);
+});
+
+test('the same punch inside the debounce window is a duplicate, outside it is a normal check', () => {
+  const records = [punch('check-in', mon(8))];
+  const duplicate = PunchStateMachine.evaluate(records, 'check-in', mon(8, 0, 30), CONFIG);
+  assert.equal(duplicate.reason, 'duplicate');
+  assert.equal(duplicate.message, t('punch.duplicate', {type: t('punch.check-in'), seconds: 30}));
+
+  assert.equal(PunchStateMachine.evaluate(records, 'check-in', mon(8, 1, 0), CONFIG).reason, 'invalid');
+  // ประเภทอื่นในช่วงเดียวกันไม่ถือว่ากดซ้ำ
+  assert.equal(PunchStateMachine.evaluate(records, 'break-start', mon(8, 0, 30), CONFIG).ok, true);
+});
+
+test('a session left open past maxSessionHours is abandoned so the next check-in is allowed', () => {
+  const records = [punch('check-in', mon(8))];
+  const result = PunchStateMachine.evaluate(records, 'check-in', tue(5), CONFIG);
+  assert.equal(result.ok, true);
+  assert.equal(result.workDate, '2026-10-20');
+  assert.equal(PunchStateMachine.sessions(records, tue(5), CONFIG.maxSessionHours).sessions[0].abandoned, true);
+  // กลุ่มกะที่กำหนด maxSessionHours ยาวกว่ายังถือว่าทำงานอยู่
+  assert.equal(PunchStateMachine.stateOf(records, tue(5), 30), 'working');
+  assert.equal(PunchStateMachine.evaluate(records, 'check-out', tue(5), {...CONFIG, maxSessionHours: 30}).ok, true);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp} = require('./load-app');
+
+const NOW = new Date(2026, 9, 19, 8, 30);
+
+// setTimeout ทำงานทันที ไม่ต้องรอหน่วง 2 วินาทีก่อนบันทึก
+const {AttendanceSystem, APP_CONFIG} = loadApp(['AttendanceSystem', 'APP_CONFIG'], {globals: {setTimeout: (fn) => { fn(); return 0; }}});
+
+// AttendanceSystem ที่ไม่ผ่าน constructor (ไม่มีกล้อง/DOM) แทนส่วนที่ต้องใช้เบราว์เซอร์ด้วย stub
+function kioskSystem(overrides = {}) {
+  const saved = [];
+  let settle;
+  const settled = new Promise(resolve => { settle = resolve; });
+  const system = Object.assign(Object.create(AttendanceSystem.prototype), {
+    kiosk: {confirmPunch: () => {}, punchSettled: () => settle()},
+    line: null,
+    session: null,
+    employeeId: 'E001',
+    isFaceDetected: true,
+    currentLocation: {latitude: 13.7563, longitude: 100.5018, accuracy: 10},
+    clock: {date: () => NOW, now: () => ({trustedTime: NOW.toISOString()})},
+    db: {getRecordsInRange: async (from, to) => saved.filter(r => new Date(r.timestamp) >= from && new Date(r.timestamp) <= to)},
+    chain: {append: async record => { record.id = saved.length + 1; saved.push(record); }},
+    sync: {syncNow: () => Promise.resolve()},
+    punchButtons: {'check-in': {style: {}}},
+    alerts: [],
+    showAlert(message, type) { this.alerts.push({message, type}); },
+    showLoading: () => {},
+    showSuccessNotification: () => {},
+    updateSyncStatus: () => {},
+    updateCurrentStatus: () => {},
+    resetLiveness: () => {},
+    verifyLocation: () => ({ok: true, geofence: null}),
+    verifySimulation: async () => ({ok: true, simulation: null}),
+    verifyIdentity: async () => ({ok: true, faceMatch: null, liveness: null}),
+    checkCaptureQuality: () => ({ok: true}),
+    captureFaceImage: async () => ({image: 'photo', thumbnail: 'thumb'}),
+    ...overrides
+  });
+  return {system, saved, settled};
+}
+
+test('a kiosk punch without a LINE session is saved for the authenticated employee', async () => {
+  const {system, saved, settled} = kioskSystem();
+  await system.punch('check-in');
+  await settled;
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].employeeId, 'E001');
+  assert.equal(saved[0].lineUserId, null);
+  assert.equal(saved[0].type, 'check-in');
+  assert.equal(system.isPunching, false);
+});
+
+test('the punch keeps the employee captured at the press when the kiosk switches employee', async () => {
+  const {system, saved, settled} = kioskSystem({
+    captureFaceImage: async function () {
+      this.employeeId = 'E002';
+      return {image: 'photo', thumbnail: 'thumb'};
+    }
+  });
+  await system.punch('check-in');
+  await settled;
+  assert.equal(saved[0].employeeId, 'E001');
+});
+
+test('a failed check releases the punch lock', async () => {
+  const {system, saved, settled} = kioskSystem({verifyIdentity: async () => ({ok: false})});
+  await system.punch('check-in');
+  await settled;
+  assert.equal(saved.length, 0);
+  assert.equal(system.isPunching, false);
+});
+
+test('an unexpected error is reported instead of rejecting the click handler', async () => {
+  const {system} = kioskSystem({verifyLocation: () => { throw new Error('boom'); }});
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await system.punch('check-in');
+  } finally {
+    console.error = error;
+  }
+  assert.equal(system.isPunching, false);
+  assert.equal(system.alerts.at(-1).type, 'error');
+});
+
+test('the open session, buttons and punch checks follow the shift group maxSessionHours', async () => {
+  APP_CONFIG.shiftGroups.long = {...APP_CONFIG.shiftGroups.default, maxSessionHours: 30};
+  APP_CONFIG.employeeShiftGroups.E001 = 'long';
+  try {
+    const {system, saved, settled} = kioskSystem();
+    // เข้างานเมื่อ 25 ชั่วโมงก่อน: เกินค่ารวม (20) แต่ยังไม่เกินของกลุ่ม (30)
+    const checkIn = new Date(NOW.getTime() - 25 * 3600000);
+    saved.push({id: 1, type: 'check-in', timestamp: checkIn.toISOString()});
+
+    assert.equal((await system.currentPunchContext()).state, 'working');
+    await system.punch('check-in');
+    assert.equal(system.alerts.at(-1).type, 'warning');
+
+    await system.punch('check-out');
+    await settled;
+    assert.equal(saved.length, 2);
+    assert.equal(saved[1].date, '2026-10-18');
+  } finally {
+    delete APP_CONFIG.employeeShiftGroups.E001;
+    delete APP_CONFIG.shiftGroups.long;
+  }
+});
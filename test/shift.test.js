@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {loadApp} = require('./load-app');
+
+const {ShiftCalculator} = loadApp(['ShiftCalculator']);
+
+// เวลาท้องถิ่น (เหมือนที่ ShiftCalculator.atTime ใช้) เป็น ISO string
+const at = (dateKey, time) => ShiftCalculator.atTime(dateKey, time).toISOString();
+const punch = (type, dateKey, time) => ({type, timestamp: at(dateKey, time)});
+
+// 2026-10-19 = วันจันทร์, 2026-10-24 = วันเสาร์
+const MONDAY = '2026-10-19';
+const TUESDAY = '2026-10-20';
+const SATURDAY = '2026-10-24';
+const DAY_SHIFT = {start: '08:30', end: '17:30', graceMinutes: 10, breakMinutes: 60, workingDays: [1, 2, 3, 4, 5], maxSessionHours: 20};
+const NIGHT_SHIFT = {...DAY_SHIFT, start: '22:00', end: '06:00'};
+const LATER = new Date(2026, 10, 1);
+
+test('resolveShift carries maxSessionHours from the config and lets a group override it', () => {
+  const config = {
+    maxSessionHours: 20,
+    shiftGroups: {default: {start: '08:30', end: '17:30'}, night: {start: '22:00', end: '06:00', maxSessionHours: 12}},
+    employeeShiftGroups: {e002: 'night'}
+  };
+  assert.equal(ShiftCalculator.resolveShift('e001', config).maxSessionHours, 20);
+  assert.equal(ShiftCalculator.resolveShift('e002', config).maxSessionHours, 12);
+});
+
+test('on time within the grace period: complete, shift break deducted, no late/early/OT', () => {
+  const day = ShiftCalculator.evaluateDay(MONDAY, [punch('check-in', MONDAY, '08:35'), punch('check-out', MONDAY, '17:30')], DAY_SHIFT, LATER);
+  assert.equal(day.status, 'complete');
+  assert.equal(day.lateMinutes, 0);
+  assert.equal(day.breakMinutes, 60);
+  assert.equal(day.workedMinutes, 475);
+  assert.equal(day.earlyLeaveMinutes, 0);
+  assert.equal(day.overtimeMinutes, 0);
+});
+
+test('late past the grace period counts every minute from shift start', () => {
+  const day = ShiftCalculator.evaluateDay(MONDAY, [punch('check-in', MONDAY, '08:45'), punch('check-out', MONDAY, '17:30')], DAY_SHIFT, LATER);
+  assert.equal(day.lateMinutes, 15);
+});
+
+test('early leave and tracked breaks', () => {
+  const day = ShiftCalculator.evaluateDay(MONDAY, [
+    punch('check-in', MONDAY, '08:30'),
+    punch('break-start', MONDAY, '12:00'),
+    punch('break-end', MONDAY, '12:30'),
+    punch('check-out', MONDAY, '16:00')
+  ], DAY_SHIFT, LATER);
+  assert.equal(day.earlyLeaveMinutes, 90);
+  assert.equal(day.breakMinutes, 30);
+  assert.equal(day.workedMinutes, 420);
+  assert.equal(day.overtimeMinutes, 0);
+});
+
+test('overtime after shift end, and all work on a day off is overtime', () => {
+  const weekday = ShiftCalculator.evaluateDay(MONDAY, [punch('check-in', MONDAY, '08:30'), punch('check-out', MONDAY, '19:00')], DAY_SHIFT, LATER);
+  assert.equal(weekday.overtimeMinutes, 90);
+  const saturday = ShiftCalculator.evaluateDay(SATURDAY, [punch('check-in', SATURDAY, '09:00'), punch('check-out', SATURDAY, '12:00')], DAY_SHIFT, LATER);
+  assert.equal(saturday.isWorkingDay, false);
+  // 3 ชั่วโมงหักเวลาพักของกะ 60 นาที
+  assert.equal(saturday.overtimeMinutes, 120);
+  assert.equal(saturday.lateMinutes, 0);
+});
+
+test('absent on a past working day, not-started before the shift ends, day-off on weekends', () => {
+  assert.equal(ShiftCalculator.evaluateDay(MONDAY, [], DAY_SHIFT, LATER).status, 'absent');
+  assert.equal(ShiftCalculator.evaluateDay(MONDAY, [], DAY_SHIFT, new Date(2026, 9, 19, 9, 0)).status, 'not-started');
+  assert.equal(ShiftCalculator.evaluateDay(SATURDAY, [], DAY_SHIFT, LATER).status, 'day-off');
+});
+
+test('approved leave replaces absent', () => {
+  const requests = [{kind: 'leave', status: 'approved', leave: {leaveType: 'sick', from: MONDAY, to: TUESDAY}}];
+  const day = ShiftCalculator.evaluateDay(MONDAY, [], DAY_SHIFT, LATER, requests);
+  assert.equal(day.status, 'leave');
+  assert.equal(day.leave, 'sick');
+});
+
+test('no check-out: working within maxSessionHours, incomplete after it', () => {
+  const records = [punch('check-in', MONDAY, '08:30')];
+  const working = ShiftCalculator.evaluateDay(MONDAY, records, DAY_SHIFT, new Date(2026, 9, 19, 12, 30));
+  assert.equal(working.status, 'working');
+  assert.equal(working.workedMinutes, 240);
+  assert.equal(ShiftCalculator.evaluateDay(MONDAY, records, DAY_SHIFT, LATER).status, 'incomplete');
+  // maxSessionHours มาจาก shift ไม่ใช่ APP_CONFIG
+  const shortLimit = {...DAY_SHIFT, maxSessionHours: 2};
+  assert.equal(ShiftCalculator.evaluateDay(MONDAY, records, shortLimit, new Date(2026, 9, 19, 12, 30)).status, 'incomplete');
+});
+
+test('overnight shift 22:00 -> 06:00 is evaluated against the next morning', () => {
+  const records = [punch('check-in', MONDAY, '22:05'), punch('check-out', TUESDAY, '06:30')];
+  const day = ShiftCalculator.evaluateDay(MONDAY, records, NIGHT_SHIFT, LATER);
+  assert.equal(day.status, 'complete');
+  assert.equal(day.lateMinutes, 0);
+  assert.equal(day.workedMinutes, 445);
+  assert.equal(day.overtimeMinutes, 30);
+  assert.equal(day.earlyLeaveMinutes, 0);
+});
+
+test('overnight shift still open after midnight is working, not absent', () => {
+  const day = ShiftCalculator.evaluateDay(MONDAY, [punch('check-in', MONDAY, '22:00')], NIGHT_SHIFT, new Date(2026, 9, 20, 2, 0));
+  assert.equal(day.status, 'working');
+  assert.equal(day.workedMinutes, 240);
+});
+
+test('approved corrections before the start of an overnight shift belong to the next morning', () => {
+  const requests = [{id: 7, kind: 'correction', status: 'approved', correction: {date: MONDAY, punchType: 'check-out', time: '06:00'}}];
+  const day = ShiftCalculator.evaluateDay(MONDAY, [punch('check-in', MONDAY, '22:00')], NIGHT_SHIFT, LATER, requests);
+  assert.equal(day.status, 'complete');
+  assert.equal(day.checkOut, at(TUESDAY, '06:00'));
+  assert.equal(day.checkOutManual, true);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// sw.js ใน vm context ที่มี self ปลอม (ไม่ได้ลงทะเบียน event จริง)
+const context = vm.createContext({URL, self: {location: {origin: 'https://app.example'}, addEventListener: () => {}}});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'), context, {filename: 'sw.js'});
+const {isCacheable, CDN_SCRIPTS, OPTIONAL_CDN_SCRIPTS} = vm.runInContext('({isCacheable, CDN_SCRIPTS, OPTIONAL_CDN_SCRIPTS})', context);
+const get = (url) => isCacheable({url});
+
+test('same-origin static files and versioned CDN scripts are cached', () => {
+  assert.equal(get('https://app.example/main.js'), true);
+  assert.equal(get('https://app.example/index.html?kiosk=1'), true);
+  [...CDN_SCRIPTS, ...OPTIONAL_CDN_SCRIPTS].forEach(url => assert.equal(get(url), true, url));
+  assert.equal(get('https://fonts.gstatic.com/s/prompt/v10/a.woff2'), true);
+});
+
+test('API requests and unlisted cross-origin files go straight to the network', () => {
+  assert.equal(get('https://api.line.me/v2/profile'), false);
+  assert.equal(get('https://script.google.com/macros/s/abc/exec?action=time'), false);
+  assert.equal(get('https://cdn.jsdelivr.net/npm/other@1.0.0/x.js'), false);
+  assert.equal(get('https://kyn-floorthailand.com/logo.png'), false);
+});
+
+test('model weights are left to ModelLoader', () => {
+  assert.equal(get('https://app.example/models/face_recognition_model-shard1'), false);
+  assert.equal(get('https://cdn.jsdelivr.net/gh/justadudewhohacks/face-api.js@0.22.2/weights/tiny_face_detector_model-weights_manifest.json'), false);
+});
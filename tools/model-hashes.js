@@ -0,0 +1,42 @@
+// สร้างค่า APP_CONFIG.modelHashes (SHA-256 base64) จาก model weights ของ face-api.js
+// ใช้: npm run model-hashes [-- <โฟลเดอร์หรือ URL>]   (ค่าเริ่มต้น ./models)
+// แล้วคัดลอกผลลัพธ์ไปใส่ modelHashes ใน main.js
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+// ต้องตรงกับ ModelLoader.MODELS ใน main.js
+const MODEL_FILES = ['ssd_mobilenetv1_model', 'tiny_face_detector_model', 'face_landmark_68_model', 'face_recognition_model'];
+
+const source = process.argv[2] || path.join(__dirname, '..', 'models');
+const isUrl = /^https?:\/\//.test(source);
+
+async function read(name) {
+  if (!isUrl) return fs.readFile(path.join(source, name));
+  const response = await fetch(`${source.replace(/\/$/, '')}/${name}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status} ${name}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function main() {
+  const hashes = {};
+  const add = (name, buffer) => {
+    hashes[name] = crypto.createHash('sha256').update(buffer).digest('base64');
+  };
+  for (const file of MODEL_FILES) {
+    const manifestName = `${file}-weights_manifest.json`;
+    const manifest = await read(manifestName);
+    add(manifestName, manifest);
+    for (const group of JSON.parse(manifest.toString('utf8'))) {
+      for (const shard of group.paths) add(shard, await read(shard));
+    }
+  }
+  console.log(JSON.stringify(hashes, null, 2));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});